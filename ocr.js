@@ -4,7 +4,7 @@
  */
 
 class ReceiptParser {
-  constructor() {
+  constructor(options = {}) {
     this.patterns = {
       // Currency symbols
       currency: /[$€£]/,
@@ -21,6 +21,17 @@ class ReceiptParser {
       // Standard item line: (Qty) Name (Price)
       itemLine: /^(?:(\d+)\s*[@x×\*]\s*)?(.+?)(?:\s+[$€£]?(\d[0-9,\.]+)\s*$)/i,
       
+      // Unit prices ending a name, before the line total: marked (Beer 3 @ 6.50,
+      // Beer @ 6.50) or just a second price (Beer 6.50); and a quantity the
+      // amount after it is for each of (Beer 2 @ 6.50)
+      unitPriceAt: /^(.*?)\s*(?:(\d+)\s*[@x×\*]|@)\s*[$€£]?(\d[\d,\.]*)\s*(?:ea(?:ch)?|\/\s*ea)?$/i,
+      unitPriceEach: /^(.*?)\s+[$€£]?(\d+[.,]\d{2})\s*(?:ea(?:ch)?|\/\s*ea)?$/i,
+      quantityAt: /^(.+?)\s+(\d+)\s*[@x×\*]$/i,
+      
+      // Quantity line without a name: "2 @ 12.00  24.00" under the name it
+      // prices, or "2 @ 7.00" under the item it counts
+      quantityLine: /^(\d+)\s*[@x×\*]\s*[$€£]?(\d[\d,\.]*)\s*(?:ea(?:ch)?|\/\s*ea)?(?:\s+[$€£]?(\d[\d,\.]+))?\s*$/i,
+      
       // Summary lines
       subtotal: /^(?:sub[-\s]?total|subttl|before\s*tax|net|pre[-\s]?tax)[:\s]*[$€£]?(\d[0-9,\.]+)/i,
       tax: /^(?:tax|vat|gst|hst|sales\s*tax)(?:\s*\(?\d*[%\s)]*)?[:\s]*[$€£]?(\d[0-9,\.]+)/i,
@@ -36,24 +47,34 @@ class ReceiptParser {
     };
     
     this.fuzzyThreshold = 0.8;
+    
+    // Decimal separator by locale; null for currencies without decimals (yen)
+    this.decimalSeparators = {
+      'en-US': '.', 'en-GB': '.', 'en-IN': '.', 'de-CH': '.',
+      'de-DE': ',', 'fr-FR': ',', 'es-ES': ',', 'it-IT': ',',
+      'ja-JP': null
+    };
+    this.locale = options.locale || null; // null: detect from each receipt
   }
 
   /**
    * 1. parseReceiptText(text) - main entry point
    */
-  parseReceiptText(text) {
+  parseReceiptText(text, options = {}) {
     if (!text) return this.createEmptyReceipt();
     
-    const allLines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l.length > 0);
+    const locale = options.locale || this.locale || this.detectLocale(text);
+    const allLines = text.split(/\r?\n/).map(l => this.normalizeAmounts(l.trim())).filter(l => l.length > 0);
     const itemLines = allLines.filter(line => !this.patterns.skip.test(line));
     
-    const items = this.extractItems(itemLines);
-    const summary = this.extractSummary(itemLines);
+    const items = this.extractItems(itemLines, locale);
+    const summary = this.extractSummary(itemLines, locale);
     const metadata = this.extractMetadata(allLines);
 
     return {
       merchant: metadata.merchant,
       date: metadata.date,
+      locale,
       items: items,
       tax: summary.tax,
       tip: summary.tip,
@@ -65,19 +86,36 @@ class ReceiptParser {
 
   /**
    * 2. extractItems(lines) - identifies item lines vs tax/tip/total
+   * A quantity line ("2 @ 7.00") counts the item above it or, with a total
+   * of its own, prices the name above it.
    */
-  extractItems(lines) {
+  extractItems(lines, locale = null) {
     const items = [];
+    let previous = null; // Item on the line above
+    let named = null; // Name on the line above, without a price
     for (const line of lines) {
-      const cat = this.categorizeLine(line);
+      const cat = this.categorizeLine(line, locale);
+      let item = null;
       if (cat.type === 'item') {
+        item = cat.data;
+      } else if (cat.type === 'quantity' && previous && (cat.data.lineTotal === null || cat.data.lineTotal === previous.lineTotal)) {
+        const { name, lineTotal, confidence } = previous;
+        Object.assign(previous, this.checkLine({ name, quantity: cat.data.quantity, unitPrice: cat.data.unitPrice, lineTotal, confidence }, locale));
+      } else if (cat.type === 'quantity' && cat.data.lineTotal !== null) {
+        item = this.checkLine({ ...cat.data, name: named || 'Unknown Item', confidence: 0.85 }, locale);
+      }
+      if (item) {
         items.push({
-          name: this.cleanItemName(cat.data.name),
-          price: cat.data.price,
-          quantity: cat.data.quantity || 1,
-          confidence: cat.data.confidence
+          name: this.cleanItemName(item.name),
+          quantity: item.quantity,
+          unitPrice: item.unitPrice,
+          lineTotal: item.lineTotal,
+          checked: item.checked,
+          confidence: item.confidence
         });
       }
+      previous = item ? items[items.length - 1] : null;
+      named = cat.type === 'unknown' && !/\d/.test(line) && this.isValidItemName(line) ? line : null;
     }
     return items;
   }
@@ -85,35 +123,42 @@ class ReceiptParser {
   /**
    * 3. categorizeLine(line) - returns {type, data}
    */
-  categorizeLine(line) {
+  categorizeLine(line, locale = null) {
     // Check summary types first
     const taxMatch = line.match(this.patterns.tax);
-    if (taxMatch) return { type: 'tax', data: { amount: this.parsePrice(taxMatch[1]) } };
+    if (taxMatch) return { type: 'tax', data: { amount: this.parsePrice(taxMatch[1], locale) } };
     
     const tipMatch = line.match(this.patterns.tip);
-    if (tipMatch) return { type: 'tip', data: { amount: this.parsePrice(tipMatch[1]) } };
+    if (tipMatch) return { type: 'tip', data: { amount: this.parsePrice(tipMatch[1], locale) } };
     
     const totalMatch = line.match(this.patterns.total);
-    if (totalMatch) return { type: 'total', data: { amount: this.parsePrice(totalMatch[1]) } };
+    if (totalMatch) return { type: 'total', data: { amount: this.parsePrice(totalMatch[1], locale) } };
     
     const subtotalMatch = line.match(this.patterns.subtotal);
-    if (subtotalMatch) return { type: 'subtotal', data: { amount: this.parsePrice(subtotalMatch[1]) } };
+    if (subtotalMatch) return { type: 'subtotal', data: { amount: this.parsePrice(subtotalMatch[1], locale) } };
 
+    // Quantity lines before items, so "2 @ 12.00 24.00" isn't a nameless item
+    const quantityMatch = line.match(this.patterns.quantityLine);
+    if (quantityMatch) {
+      return {
+        type: 'quantity',
+        data: {
+          quantity: parseInt(quantityMatch[1], 10),
+          unitPrice: this.parsePrice(quantityMatch[2], locale),
+          lineTotal: quantityMatch[3] ? this.parsePrice(quantityMatch[3], locale) : null
+        }
+      };
+    }
+    
     // Check for dotted items
     const dottedMatch = line.match(this.patterns.dottedItem);
     if (dottedMatch) {
       const name = dottedMatch[1].trim();
-      const price = this.parsePrice(dottedMatch[2]);
-      if (this.isValidItemName(name)) {
-        return { 
-          type: 'item', 
-          data: { 
-            name: this.removeQuantityFromName(name, 1), 
-            price, 
-            quantity: this.extractQuantity(name), 
-            confidence: 0.92 
-          } 
-        };
+      const price = this.parsePrice(dottedMatch[2], locale);
+      const qty = this.extractQuantity(name);
+      const priced = this.priceLine(this.removeQuantityFromName(name, qty), qty > 1 ? qty : null, price, 0.92, locale);
+      if (this.isValidItemName(name) && this.isValidItemName(priced.name)) {
+        return { type: 'item', data: priced };
       }
     }
 
@@ -122,15 +167,13 @@ class ReceiptParser {
     if (itemMatch) {
       const qtyStr = itemMatch[1];
       const rawName = itemMatch[2].trim();
-      const price = this.parsePrice(itemMatch[3]);
+      const price = this.parsePrice(itemMatch[3], locale);
       const qty = qtyStr ? parseInt(qtyStr, 10) : this.extractQuantity(rawName);
       const name = this.removeQuantityFromName(rawName, qty);
+      const priced = this.priceLine(name, qty > 1 ? qty : null, price, qtyStr ? 0.95 : 0.85, locale);
       
-      if (this.isValidItemName(name)) {
-        return { 
-          type: 'item', 
-          data: { name, price, quantity: qty, confidence: qtyStr ? 0.95 : 0.85 } 
-        };
+      if (this.isValidItemName(priced.name)) {
+        return { type: 'item', data: priced };
       }
     }
 
@@ -139,10 +182,10 @@ class ReceiptParser {
 
   // --- Helper Functions ---
 
-  extractSummary(lines) {
+  extractSummary(lines, locale = null) {
     const summary = { tax: 0, tip: 0, total: 0, subtotal: 0 };
     for (const line of lines) {
-      const cat = this.categorizeLine(line);
+      const cat = this.categorizeLine(line, locale);
       if (summary[cat.type] !== undefined) {
         summary[cat.type] = cat.data.amount;
       }
@@ -174,14 +217,104 @@ class ReceiptParser {
     return { merchant, date };
   }
 
-  parsePrice(str) {
+  // Drop thousands grouped by spaces or apostrophes (1 234,50, 1'234.50),
+  // currency signs the line patterns don't know (₹1,200) and a currency
+  // printed after the amount (12,50 € or 12,50 EUR)
+  normalizeAmounts(line) {
+    return line
+      .replace(/[¥￥₹₩]\s?(?=\d)/g, '')
+      .replace(/(\d)\s*(?:[$€£]|\b(?:EUR|USD|GBP|CHF|JPY|INR)\b)\s*$/i, '$1')
+      .replace(/(\d)[ '’\u00a0\u202f](?=\d{3}(?:[.,]\d{1,2})?\s*$)/g, '$1');
+  }
+
+  // Currency marks settle yen, rupees and francs; otherwise comma decimals
+  // (12,50) outnumbering dot decimals mean a European format, French when
+  // thousands are grouped by spaces or the tax is TVA
+  detectLocale(text) {
+    if (/[¥￥円]|\bJPY\b/.test(text)) return 'ja-JP';
+    if (/₹|\bRs\.?\s?\d|\bINR\b|\b\d{1,2},\d{2},\d{3}\b/.test(text)) return 'en-IN';
+    if (/\d['’]\d{3}(?!\d)|\bCHF\b/.test(text)) return 'de-CH';
+    const commas = (text.match(/\d,\d{1,2}(?![\d,.])/g) || []).length;
+    const dots = (text.match(/\d\.\d{1,2}(?![\d,.])/g) || []).length;
+    if (commas <= dots) return 'en-US';
+    return /\d[ \u00a0\u202f]\d{3},\d|\b(?:TVA|TTC)\b/.test(text) ? 'fr-FR' : 'de-DE';
+  }
+
+  // The locale's decimal separator marks decimals and the other one groups
+  // thousands; one or two digits after the last separator are always decimals
+  parsePrice(str, locale = null) {
     if (!str) return 0;
-    // Remove symbols and handle thousand separators (assume last dot/comma is decimal)
-    let clean = str.replace(/[$€£\s]/g, '').replace(/,/g, '');
+    const loc = locale || this.locale || this.detectLocale(str);
+    const decimal = loc in this.decimalSeparators ? this.decimalSeparators[loc] : '.';
+    let clean = str.replace(/[^\d.,]/g, '');
+    const last = Math.max(clean.lastIndexOf('.'), clean.lastIndexOf(','));
+    if (last >= 0) {
+      const digits = clean.slice(last + 1);
+      const isDecimal = decimal !== null &&
+        (clean[last] === decimal || (digits.length <= 2 && !clean.slice(0, last).includes(clean[last])));
+      clean = isDecimal ? clean.slice(0, last).replace(/[.,]/g, '') + '.' + digits : clean.replace(/[.,]/g, '');
+    }
     const val = parseFloat(clean);
     return isNaN(val) ? 0 : val;
   }
 
+  // The amount ending a line is its total, unless the name ends in a unit
+  // price (3 x Beer 6.50 19.50, Beer 3 @ 6.50 19.50) or in a quantity that
+  // amount is for each of (Beer 2 @ 6.50). A bare second price only counts as
+  // the unit price when the two agree on a small quantity, so a bottle size
+  // (Wine 0.75 12.00) doesn't make sixteen bottles.
+  priceLine(name, quantity, amount, confidence, locale = null) {
+    const perUnit = name.match(this.patterns.quantityAt);
+    if (perUnit) {
+      return this.checkLine({ name: perUnit[1].trim(), quantity: parseInt(perUnit[2], 10), unitPrice: amount, lineTotal: null, confidence }, locale);
+    }
+    const at = name.match(this.patterns.unitPriceAt);
+    if (at && at[1].trim()) {
+      const unitPrice = this.parsePrice(at[3], locale);
+      return this.checkLine({ name: at[1].trim(), quantity: at[2] ? parseInt(at[2], 10) : quantity, unitPrice, lineTotal: amount, confidence }, locale);
+    }
+    const each = name.match(this.patterns.unitPriceEach);
+    if (each && each[1].trim()) {
+      const line = this.checkLine({ name: each[1].trim(), quantity, unitPrice: this.parsePrice(each[2], locale), lineTotal: amount, confidence }, locale);
+      if (quantity !== null || (line.checked && line.quantity <= 12)) return line;
+    }
+    return this.checkLine({ name, quantity, unitPrice: null, lineTotal: amount, confidence }, locale);
+  }
+
+  // Fill in the unit price or line total that wasn't printed, or check the
+  // quantity and both prices against each other. A printed quantity that
+  // doesn't fit is kept and the line flagged (checked false, low confidence),
+  // since OCR may have misread any of them; the printed total still counts.
+  // Only a quantity that wasn't printed (null) is worked out from the prices.
+  checkLine(line, locale = null) {
+    const { unitPrice, lineTotal } = line;
+    const printed = line.quantity !== null && line.quantity !== undefined;
+    const quantity = printed ? line.quantity : 1;
+    if (unitPrice === null) {
+      return { ...line, quantity, unitPrice: this.roundAmount(lineTotal / quantity, locale), checked: null };
+    }
+    if (lineTotal === null) {
+      return { ...line, quantity, lineTotal: this.roundAmount(unitPrice * quantity, locale), checked: null };
+    }
+    // Unit prices are rounded, so 3 for 10.00 prints 3.33 each
+    const fits = q => Math.abs(q * unitPrice - lineTotal) <= q * 0.005 + 1e-9;
+    const derived = unitPrice > 0 ? Math.round(lineTotal / unitPrice) : 0;
+    const counted = printed ? quantity : (derived >= 1 && fits(derived) ? derived : 1);
+    const checked = fits(counted);
+    return {
+      ...line,
+      quantity: counted,
+      checked,
+      confidence: checked ? Math.max(line.confidence, 0.97) : Math.min(line.confidence, 0.6)
+    };
+  }
+
+  // Round to the decimals the locale's prices carry (none for yen)
+  roundAmount(value, locale = null) {
+    const decimals = this.decimalSeparators[locale || this.locale] === null ? 0 : 2;
+    return Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+  }
+
   extractQuantity(text) {
     const match = text.match(this.patterns.quantity);
     return match ? parseInt(match[1] || match[2] || match[3], 10) : 1;
@@ -224,7 +357,7 @@ class ReceiptParser {
     const itemConf = items.reduce((s, i) => s + i.confidence, 0) / items.length;
     
     // Cross-check items vs total
-    const itemsSum = items.reduce((s, i) => s + (i.price * i.quantity), 0);
+    const itemsSum = items.reduce((s, i) => s + i.lineTotal, 0);
     let totalConf = 1.0;
     if (summary.total > 0) {
       const calculated = itemsSum + summary.tax + summary.tip;
@@ -261,9 +394,10 @@ const parser = new ReceiptParser();
 // Exports
 module.exports = {
   ReceiptParser,
-  parseReceiptText: (text) => parser.parseReceiptText(text),
-  extractItems: (lines) => parser.extractItems(lines),
-  categorizeLine: (line) => parser.categorizeLine(line)
+  parseReceiptText: (text, options) => parser.parseReceiptText(text, options),
+  extractItems: (lines, locale) => parser.extractItems(lines, locale),
+  categorizeLine: (line, locale) => parser.categorizeLine(line, locale),
+  parsePrice: (str, locale) => parser.parsePrice(str, locale)
 };
 
 // --- CLI Test Runner ---
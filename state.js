@@ -5,9 +5,24 @@
  * Features:
  * - Session creation with 6-char room codes
  * - Participant management
- * - Multiple split types (solo, even, percentage, units)
- * - Real-time sync via localStorage polling
- * - Race condition handling via timestamps
+ * - Multiple split types (solo, even, percentage, units, shares, fixed)
+ * - Integer-cent money math with largest-remainder rounding
+ * - Per-category and per-item tax rates
+ * - Host-chosen tip policy (receipt amount or percentage, split, opt-outs)
+ * - Discounts and comps on an item, a category or the whole bill
+ * - Service charges and fees with their own allocation rules
+ * - Per-item claim reconciliation with a host-chosen policy
+ * - Host resolution of unclaimed items before review
+ * - Several receipts per session (dinner, drinks, the ride home)
+ * - Who paid each receipt, and the fewest transfers to settle up
+ * - Pluggable storage (memory, localStorage, IndexedDB, file system)
+ * - Real-time sync via storage polling or a WebSocket relay (sync-server.js)
+ * - JSON-patch deltas between versions, with snapshot fallback
+ * - Optimistic concurrency via per-session version numbers
+ * - Append-only event log with history replay
+ * - Per-user undo/redo for claims and receipt edits
+ * - Conflict-free merging of offline edits (event log as a CRDT)
+ * - Versioned schema with migrations and repair on load
  * - Automatic TTL cleanup
  */
 
@@ -18,7 +33,96 @@
 const STORAGE_KEY = 'splitt_sessions';
 const SYNC_INTERVAL = 1000; // 1 second polling
 const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+const SETTLE_UP_TTL = 30 * 24 * 60 * 60 * 1000; // Unsettled sessions are kept up to 30 days
 const SYNC_CHANNEL = 'splitt_sync_channel';
+const CENTS_PER_UNIT = 100; // Money is stored and calculated in integer cents
+const UNDO_LIMIT = 50; // Undo steps kept per user
+const RECONNECT_DELAY = 1000; // First WebSocket reconnect delay, doubled per retry
+const MAX_RECONNECT_DELAY = 30000;
+const SNAPSHOT_TIMEOUT = 5000; // How long to wait for the transport's copy of a session we don't have
+const SCHEMA_VERSION = 12; // Bump together with a new entry in MIGRATIONS
+const SESSION_STATUSES = ['lobby', 'selecting', 'reviewing', 'closed'];
+const DEFAULT_RECEIPT_ID = 'receipt-1'; // The receipt every session starts with
+const DEFAULT_CURRENCY = 'USD'; // When neither the session nor a receipt names one
+const ZERO_DECIMAL_CURRENCIES = ['JPY', 'KRW']; // Priced in whole units
+const EXACT_SETTLEMENT_LIMIT = 15; // Most people with a balance settled optimally (2^n search)
+const SPLIT_TYPES = ['solo', 'even', 'percentage', 'units', 'shares', 'fixed'];
+const TIP_TYPES = ['amount', 'percentage']; // Printed tip, or a percentage of the bill
+const TIP_BASES = ['pretax', 'posttax'];
+const TIP_SPLITS = ['proportional', 'even'];
+const DISCOUNT_TYPES = ['fixed', 'percentage'];
+const DISCOUNT_TARGETS = ['bill', 'item', 'category'];
+const FEE_ALLOCATIONS = ['even', 'proportional', 'assigned', 'claimers'];
+// What to do when an item's claims don't add up to its price: scale them to
+// fit, leave the rest unclaimed, or refuse to finalize until they're fixed
+const CLAIM_POLICIES = ['normalize', 'unclaimed', 'block'];
+// How the host settles unclaimed items: split across everyone, give to one
+// person, pay for them, or leave them out of the split
+const ORPHAN_RESOLUTIONS = ['even', 'assign', 'host', 'waive'];
+// Where a settle-up transfer stands: not paid, paid according to the payer,
+// or received according to the person being paid
+const SETTLEMENT_STATUSES = ['owed', 'marked', 'confirmed'];
+const DEFAULT_TIP_POLICY = {
+  type: 'amount',
+  percent: 0,
+  base: 'pretax',
+  split: 'proportional',
+  excluded: []
+};
+
+// ============================================
+// ERRORS
+// ============================================
+
+/**
+ * Thrown when a mutation was based on an outdated session version
+ */
+class ConflictError extends Error {
+  constructor(sessionId, expectedVersion, actualVersion) {
+    super(`Session ${sessionId} is at version ${actualVersion}, expected ${expectedVersion}`);
+    this.name = 'ConflictError';
+    this.sessionId = sessionId;
+    this.expectedVersion = expectedVersion;
+    this.actualVersion = actualVersion;
+  }
+}
+
+/**
+ * Thrown when a session is too malformed to repair
+ */
+class InvalidSessionError extends Error {
+  constructor(sessionId, problems) {
+    super(`Invalid session${sessionId ? ` ${sessionId}` : ''}: ${problems.join('; ')}`);
+    this.name = 'InvalidSessionError';
+    this.sessionId = sessionId;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Thrown when finalizing under the 'block' claim policy while some items'
+ * claims don't add up to their price
+ */
+class ReconciliationError extends Error {
+  constructor(sessionId, items) {
+    super(`Claims don't add up on ${items.map(i => `${i.name} (${i.status})`).join(', ')}`);
+    this.name = 'ReconciliationError';
+    this.sessionId = sessionId;
+    this.items = items;
+  }
+}
+
+/**
+ * Thrown when moving to review while items are unclaimed and unresolved
+ */
+class UnclaimedItemsError extends Error {
+  constructor(sessionId, items) {
+    super(`${items.length} unclaimed item${items.length === 1 ? '' : 's'} must be resolved first`);
+    this.name = 'UnclaimedItemsError';
+    this.sessionId = sessionId;
+    this.items = items;
+  }
+}
 
 // ============================================
 // UTILITY FUNCTIONS
@@ -58,635 +162,3953 @@ function clone(obj) {
 }
 
 // ============================================
-// STORAGE MANAGEMENT
+// MONEY (INTEGER CENTS)
 // ============================================
 
 /**
- * Get all sessions from localStorage
- */
-function getAllSessions() {
-  try {
-    const data = localStorage.getItem(STORAGE_KEY);
-    return data ? JSON.parse(data) : {};
-  } catch (e) {
-    console.error('Failed to read sessions:', e);
-    return {};
-  }
-}
-
-/**
- * Save sessions to localStorage
+ * Convert a decimal amount to integer cents
+ * @param {number|string} amount - Amount in major units (e.g. 12.34)
+ * @returns {number} Integer cents (e.g. 1234)
  */
-function saveAllSessions(sessions) {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(sessions));
-    return true;
-  } catch (e) {
-    console.error('Failed to save sessions:', e);
-    return false;
-  }
+function toCents(amount) {
+  const value = typeof amount === 'number' ? amount : parseFloat(amount);
+  if (!isFinite(value)) return 0;
+  // toPrecision strips float noise such as 1.005 * 100 = 100.49999999999999
+  return Math.round(parseFloat((value * CENTS_PER_UNIT).toPrecision(12)));
 }
 
 /**
- * Get a single session by code
+ * Convert integer cents back to a decimal amount
+ * @param {number} cents - Integer cents
+ * @returns {number} Amount in major units
  */
-function getSession(code) {
-  const sessions = getAllSessions();
-  return sessions[code.toUpperCase()] || null;
+function fromCents(cents) {
+  return cents / CENTS_PER_UNIT;
 }
 
 /**
- * Save a single session
+ * Split an amount of cents proportionally to weights (largest-remainder method)
+ * Everyone gets the floor of their exact share; the leftover cents go to the
+ * largest fractional remainders, ties broken by position, so the result is
+ * deterministic and always sums to totalCents.
+ * @param {number} totalCents - Integer cents to distribute (may be negative)
+ * @param {number[]} weights - Non-negative weights, one per recipient
+ * @returns {number[]} Integer cents per recipient
  */
-function saveSession(session) {
-  const sessions = getAllSessions();
-  sessions[session.id] = session;
-  session.lastModified = now();
-  saveAllSessions(sessions);
+function allocateCents(totalCents, weights) {
+  const safeWeights = weights.map(w => (isFinite(w) && w > 0 ? w : 0));
+  const totalWeight = safeWeights.reduce((sum, w) => sum + w, 0);
   
-  // Broadcast change for real-time sync
-  broadcastSync(session.id);
+  if (totalWeight === 0) {
+    return safeWeights.map(() => 0);
+  }
   
-  return session;
+  // Allocate the magnitude and restore the sign, so credits round the same way
+  const sign = totalCents < 0 ? -1 : 1;
+  const amount = Math.abs(totalCents);
+  
+  const exact = safeWeights.map(w => (amount * w) / totalWeight);
+  const shares = exact.map(x => Math.floor(x));
+  let leftover = amount - shares.reduce((sum, x) => sum + x, 0);
+  
+  const order = exact
+    .map((x, index) => ({ index, remainder: x - shares[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  
+  for (let i = 0; leftover > 0; i = (i + 1) % order.length, leftover--) {
+    shares[order[i].index]++;
+  }
+  
+  return shares.map(x => x * sign);
 }
 
 // ============================================
-// SYNC SYSTEM
+// CURRENCIES
 // ============================================
 
-// BroadcastChannel for cross-tab sync (if available)
-let broadcastChannel = null;
-if (typeof BroadcastChannel !== 'undefined') {
-  broadcastChannel = new BroadcastChannel(SYNC_CHANNEL);
-}
-
-// Active sync intervals
-const activeSyncIntervals = new Map();
-
 /**
- * Broadcast sync event to other tabs
+ * Check an ISO 4217 currency code
+ * @param {string} currency - Code such as 'EUR' (any case)
+ * @returns {string} Upper-case code
  */
-function broadcastSync(sessionId) {
-  if (broadcastChannel) {
-    broadcastChannel.postMessage({ type: 'sync', sessionId, timestamp: now() });
+function normalizeCurrency(currency) {
+  const code = String(currency || '').trim().toUpperCase();
+  
+  if (!/^[A-Z]{3}$/.test(code)) {
+    throw new Error(`Invalid currency: ${currency}`);
   }
+  
+  return code;
 }
 
 /**
- * Setup BroadcastChannel listener
+ * Smallest amount of a currency, in cents (a whole yen is 100)
  */
-function setupBroadcastListener(callback) {
-  if (!broadcastChannel) return;
-  
-  broadcastChannel.onmessage = (event) => {
-    if (event.data?.type === 'sync') {
-      const session = getSession(event.data.sessionId);
-      if (session && callback) {
-        callback(session);
-      }
-    }
-  };
+function currencyUnitCents(currency) {
+  return ZERO_DECIMAL_CURRENCIES.includes(currency) ? CENTS_PER_UNIT : 1;
 }
 
-// ============================================
-// SESSION LIFECYCLE
-// ============================================
-
 /**
- * Create a new session
- * @param {string} hostId - User ID of the host
- * @returns {Object} The created session
+ * Turn exchange rates into {'FROM/TO': rate}, where 1 FROM buys rate TO
+ * Accepts that map itself, a list of {from, to, rate}, or a rates file
+ * quoting everything against one currency: {base: 'EUR', rates: {USD: 1.08}}.
+ * @param {Object|Array} rates - Exchange rates
+ * @returns {Object} {'FROM/TO': rate}
  */
-function createSession(hostId) {
-  expireOldSessions();
-  
-  const sessionId = generateRoomCode();
-  const currentTime = now();
+function normalizeExchangeRates(rates) {
+  let pairs = [];
   
-  // Check for code collision (unlikely but possible)
-  const existing = getSession(sessionId);
-  if (existing) {
-    return createSession(hostId); // Retry
+  if (Array.isArray(rates)) {
+    pairs = rates.map(r => [r.from, r.to, r.rate]);
+  } else if (rates && rates.base && rates.rates) {
+    pairs = Object.keys(rates.rates).map(code => [rates.base, code, rates.rates[code]]);
+  } else if (rates && typeof rates === 'object') {
+    pairs = Object.keys(rates).map(key => [...key.split('/'), rates[key]]);
+  } else {
+    throw new Error('Exchange rates must be an object or a list');
   }
   
-  const session = {
-    id: sessionId,
-    hostId: hostId,
-    status: 'lobby',
-    createdAt: currentTime,
-    expiresAt: currentTime + SESSION_TTL,
-    lastModified: currentTime,
-    receipt: {
-      imageUrl: null,
-      items: [],
-      tax: 0,
-      tip: 0,
-      total: 0
-    },
-    participants: [],
-    selections: []
-  };
-  
-  saveSession(session);
-  
-  // Auto-join host
-  joinSession(sessionId, {
-    id: hostId,
-    name: 'Host',
-    emoji: '🏠'
+  const normalized = {};
+  pairs.forEach(([from, to, rate]) => {
+    const value = parseFloat(rate);
+    
+    if (!isFinite(value) || value <= 0) {
+      throw new Error(`Invalid exchange rate for ${from}/${to}: ${rate}`);
+    }
+    
+    const pair = `${normalizeCurrency(from)}/${normalizeCurrency(to)}`;
+    if (pair.split('/')[0] !== pair.split('/')[1]) {
+      normalized[pair] = value;
+    }
   });
   
-  return session;
+  return normalized;
 }
 
 /**
- * Join an existing session
- * @param {string} code - Room code
- * @param {Object} user - User object {id, name, emoji}
- * @returns {Object|null} Session or null if not found/expired
+ * Read exchange rates from a JSON file (Node only)
+ * @param {string} filePath - File in any format normalizeExchangeRates takes
+ * @returns {Object} {'FROM/TO': rate}
  */
-function joinSession(code, user) {
-  const session = getSession(code);
-  
-  if (!session) {
-    throw new Error('Session not found');
+function readExchangeRatesFile(filePath) {
+  if (typeof require === 'undefined') {
+    throw new Error('Reading rate files is only available in Node');
   }
   
-  if (session.expiresAt < now()) {
-    throw new Error('Session has expired');
-  }
+  return normalizeExchangeRates(JSON.parse(require('fs').readFileSync(filePath, 'utf8')));
+}
+
+/**
+ * How much of one currency a unit of another buys
+ * Uses the pair either way round, or crosses through a currency both are
+ * quoted against (the base of a loaded rates file).
+ * @param {Object} session - Session with exchangeRates
+ * @param {string} from - Currency converted from
+ * @param {string} to - Currency converted to
+ * @returns {number|null} Rate, or null when there's no way to convert
+ */
+function exchangeRate(session, from, to) {
+  if (from === to) return 1;
   
-  if (session.status === 'closed') {
-    throw new Error('Session is closed');
-  }
+  const rates = session.exchangeRates || {};
+  const direct = (a, b) => {
+    if (rates[`${a}/${b}`]) return rates[`${a}/${b}`];
+    if (rates[`${b}/${a}`]) return 1 / rates[`${b}/${a}`];
+    return null;
+  };
   
-  // Check if already joined
-  const existingIndex = session.participants.findIndex(p => p.id === user.id);
+  if (direct(from, to)) return direct(from, to);
   
-  if (existingIndex >= 0) {
-    // Update existing participant
-    session.participants[existingIndex] = {
-      ...session.participants[existingIndex],
-      ...user,
-      lastSeenAt: now()
-    };
-  } else {
-    // Add new participant
-    session.participants.push({
-      id: user.id,
-      name: user.name,
-      emoji: user.emoji || '👤',
-      joinedAt: now(),
-      lastSeenAt: now()
-    });
+  const quoted = new Set(Object.keys(rates).join('/').split('/'));
+  for (const via of quoted) {
+    if (direct(from, via) && direct(via, to)) {
+      return direct(from, via) * direct(via, to);
+    }
   }
   
-  saveSession(session);
-  return session;
+  return null;
 }
 
 /**
- * Leave a session
- * @param {string} sessionId - Session code
- * @param {string} userId - User ID leaving
- * @returns {Object|null} Updated session or null
+ * Convert per-person cents into another currency
+ * Charges and credits (discounts, refunds) are each converted as one total
+ * and handed out in proportion, so the converted amounts still add up;
+ * currencies without minor units get whole units.
+ * @param {Object} centsById - {participantId: cents}, negative for credits
+ * @param {number} rate - From exchangeRate
+ * @param {string} currency - Currency converted to
+ * @returns {Object} {participantId: cents}
  */
-function leaveSession(sessionId, userId) {
-  const session = getSession(sessionId);
-  
-  if (!session) return null;
-  
-  // Remove participant
-  session.participants = session.participants.filter(p => p.id !== userId);
+function convertCents(centsById, rate, currency) {
+  const ids = Object.keys(centsById);
+  const unit = currencyUnitCents(currency);
+  const converted = {};
   
-  // Remove their selections
-  session.selections = session.selections.filter(s => s.participantId !== userId);
-  
-  // If host leaves, assign new host or close
-  if (session.hostId === userId && session.participants.length > 0) {
-    session.hostId = session.participants[0].id;
-  } else if (session.participants.length === 0) {
-    // No participants - mark for cleanup
-    session.status = 'closed';
-  }
-  
-  saveSession(session);
-  return session;
+  // Weights must be non-negative, so credits are shared out by size and negated
+  [1, -1].forEach(sign => {
+    const side = ids.filter(id => Math.sign(centsById[id]) === sign);
+    const total = side.reduce((sum, id) => sum + Math.abs(centsById[id]), 0);
+    const shares = allocateCents(Math.round(total * rate / unit), side.map(id => Math.abs(centsById[id])));
+    side.forEach((id, index) => {
+      converted[id] = sign * shares[index] * unit;
+    });
+  });
+  ids.forEach(id => {
+    if (!(id in converted)) converted[id] = 0;
+  });
+  return converted;
 }
 
 // ============================================
-// ITEM SELECTION & SPLIT LOGIC
+// STORAGE ADAPTERS
 // ============================================
 
 /**
- * Select an item with specified split type
- * @param {string} sessionId - Session code
- * @param {string} userId - Participant ID
- * @param {string} itemId - Item ID from receipt
- * @param {string} splitType - 'solo' | 'even' | 'percentage' | 'units'
- * @param {number} value - Split value (percentage or units)
- * @returns {Object} Updated session
+ * Storage adapters mirror the localStorage shape: getItem(key), setItem(key, value)
+ * and removeItem(key), all synchronous and string-valued. Adapters backed by an
+ * async store keep an in-memory cache and expose a `ready` promise that resolves
+ * once the cache has been hydrated.
  */
-function selectItem(sessionId, userId, itemId, splitType, value = null) {
-  const session = getSession(sessionId);
-  
-  if (!session) {
-    throw new Error('Session not found');
-  }
+
+/**
+ * In-memory storage (tests, Node, private browsing fallback)
+ * @param {Object} initial - Optional key/value pairs to seed the store with
+ * @returns {Object} Storage adapter
+ */
+function createMemoryStorage(initial = {}) {
+  const data = { ...initial };
   
-  // Validate participant
-  const participant = session.participants.find(p => p.id === userId);
-  if (!participant) {
-    throw new Error('Participant not found in session');
-  }
+  return {
+    type: 'memory',
+    getItem(key) {
+      return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+    },
+    setItem(key, value) {
+      data[key] = String(value);
+    },
+    removeItem(key) {
+      delete data[key];
+    }
+  };
+}
+
+/**
+ * Browser localStorage
+ * @param {Object} store - Storage object to wrap (defaults to window.localStorage)
+ * @returns {Object} Storage adapter
+ */
+function createLocalStorage(store = null) {
+  const target = store || (typeof localStorage !== 'undefined' ? localStorage : null);
   
-  // Validate item exists
-  const item = session.receipt.items.find(i => i.id === itemId);
-  if (!item) {
-    throw new Error('Item not found in receipt');
+  if (!target) {
+    throw new Error('localStorage is not available');
   }
   
-  // Validate split type
-  const validTypes = ['solo', 'even', 'percentage', 'units'];
-  if (!validTypes.includes(splitType)) {
-    throw new Error(`Invalid split type: ${splitType}`);
+  return {
+    type: 'localStorage',
+    getItem: (key) => target.getItem(key),
+    setItem: (key, value) => target.setItem(key, value),
+    removeItem: (key) => target.removeItem(key)
+  };
+}
+
+/**
+ * Browser IndexedDB, read through an in-memory cache
+ * Writes update the cache immediately and are persisted in the background.
+ * Reads and writes throw until `ready` resolves: sessions share one stored
+ * value, so a write made before loading would replace every stored session.
+ * @param {Object} options - {dbName, storeName}
+ * @returns {Object} Storage adapter with a `ready` promise
+ */
+function createIndexedDBStorage(options = {}) {
+  if (typeof indexedDB === 'undefined') {
+    throw new Error('IndexedDB is not available');
   }
   
-  // Validate value based on split type
-  if (splitType === 'percentage' && (value === null || value < 0 || value > 100)) {
-    throw new Error('Percentage must be between 0 and 100');
-  }
-  if (splitType === 'units' && (value === null || value < 0)) {
-    throw new Error('Units must be non-negative');
-  }
+  const dbName = options.dbName || 'splitt';
+  const storeName = options.storeName || 'keyval';
+  const cache = {};
+  let db = null;
+  let loaded = false;
   
-  // Remove any existing selection for this participant + item
-  session.selections = session.selections.filter(
-    s => !(s.participantId === userId && s.itemId === itemId)
-  );
+  const ready = new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, 1);
+    
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(storeName);
+    };
+    
+    request.onsuccess = () => {
+      db = request.result;
+      const cursorRequest = db.transaction(storeName, 'readonly').objectStore(storeName).openCursor();
+      
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (cursor) {
+          cache[cursor.key] = cursor.value;
+          cursor.continue();
+        } else {
+          loaded = true;
+          resolve();
+        }
+      };
+      cursorRequest.onerror = () => reject(cursorRequest.error);
+    };
+    
+    request.onerror = () => reject(request.error);
+  });
   
-  // Handle solo split - removes other claimants
-  if (splitType === 'solo') {
-    session.selections = session.selections.filter(s => s.itemId !== itemId);
-    session.selections.push({
-      participantId: userId,
-      itemId: itemId,
-      splitType: 'solo',
-      value: null,
-      selectedAt: now()
-    });
-  } else {
-    // Add new selection
-    session.selections.push({
-      participantId: userId,
-      itemId: itemId,
-      splitType: splitType,
-      value: value,
-      selectedAt: now()
-    });
+  function assertLoaded() {
+    if (!loaded) {
+      throw new Error('IndexedDB storage is still loading; wait for its ready promise');
+    }
   }
   
-  // Update session status if needed
-  if (session.status === 'lobby') {
-    session.status = 'selecting';
+  function persist(key) {
+    ready.then(() => {
+      const store = db.transaction(storeName, 'readwrite').objectStore(storeName);
+      if (cache[key] === undefined) {
+        store.delete(key);
+      } else {
+        store.put(cache[key], key);
+      }
+    }).catch(e => console.error('Failed to persist to IndexedDB:', e));
   }
   
-  saveSession(session);
-  return session;
+  return {
+    type: 'indexedDB',
+    ready,
+    get loading() {
+      return !loaded;
+    },
+    getItem(key) {
+      assertLoaded();
+      return cache[key] === undefined ? null : cache[key];
+    },
+    setItem(key, value) {
+      assertLoaded();
+      cache[key] = String(value);
+      persist(key);
+    },
+    removeItem(key) {
+      assertLoaded();
+      cache[key] = undefined;
+      persist(key);
+    }
+  };
 }
 
 /**
- * Deselect an item
- * @param {string} sessionId - Session code
- * @param {string} userId - Participant ID
- * @param {string} itemId - Item ID
- * @returns {Object} Updated session
+ * JSON file on disk (Node only)
+ * The file is re-read on every access so several processes can share it.
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Object} Storage adapter
  */
-function deselectItem(sessionId, userId, itemId) {
-  const session = getSession(sessionId);
-  
-  if (!session) {
-    throw new Error('Session not found');
+function createFileStorage(filePath) {
+  if (typeof require === 'undefined') {
+    throw new Error('File storage is only available in Node');
   }
   
-  session.selections = session.selections.filter(
-    s => !(s.participantId === userId && s.itemId === itemId)
-  );
+  const fs = require('fs');
+  const path = require('path');
   
-  saveSession(session);
-  return session;
+  const read = () => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error('Failed to read storage file:', e);
+      return {};
+    }
+  };
+  
+  const write = (data) => {
+    // Write to a temp file and rename so readers never see a partial file
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+  };
+  
+  return {
+    type: 'file',
+    filePath,
+    getItem(key) {
+      const data = read();
+      return Object.prototype.hasOwnProperty.call(data, key) ? data[key] : null;
+    },
+    setItem(key, value) {
+      const data = read();
+      data[key] = String(value);
+      write(data);
+    },
+    removeItem(key) {
+      const data = read();
+      delete data[key];
+      write(data);
+    }
+  };
 }
 
-// ============================================
-// CALCULATION ENGINE
-// ============================================
+// Active storage adapter (chosen by initSplitt)
+let storageAdapter = null;
 
 /**
- * Calculate per-person totals
- * @param {Object} session - Session object
- * @returns {Object} Breakdown of costs per person
+ * Pick localStorage when the environment has a working one, memory otherwise
  */
-function calculateTotals(session) {
-  if (!session || !session.participants) {
-    throw new Error('Invalid session');
+function createDefaultStorage() {
+  try {
+    const adapter = createLocalStorage();
+    const test = '__splitt_test__';
+    adapter.setItem(test, test);
+    adapter.removeItem(test);
+    return adapter;
+  } catch (e) {
+    return createMemoryStorage();
   }
+}
+
+/**
+ * Set the storage adapter used by every session function
+ * @param {Object} adapter - Object with getItem, setItem and removeItem
+ * @returns {Object} The adapter
+ */
+function setStorageAdapter(adapter) {
+  if (!adapter || ['getItem', 'setItem', 'removeItem'].some(m => typeof adapter[m] !== 'function')) {
+    throw new Error('Storage adapter must implement getItem, setItem and removeItem');
+  }
+  storageAdapter = adapter;
+  return adapter;
+}
+
+/**
+ * Get the active storage adapter, falling back to the default one
+ * @returns {Object} Storage adapter
+ */
+function getStorageAdapter() {
+  if (!storageAdapter) {
+    storageAdapter = createDefaultStorage();
+  }
+  return storageAdapter;
+}
+
+// ============================================
+// STORAGE MANAGEMENT
+// ============================================
+
+/**
+ * Get all sessions from storage
+ */
+function getAllSessions() {
+  try {
+    const data = getStorageAdapter().getItem(STORAGE_KEY);
+    return data ? JSON.parse(data) : {};
+  } catch (e) {
+    // Reading nothing from storage that's still loading would lead to saving over it
+    if (getStorageAdapter().loading) throw e;
+    console.error('Failed to read sessions:', e);
+    return {};
+  }
+}
+
+/**
+ * Save sessions to storage
+ */
+function saveAllSessions(sessions) {
+  try {
+    getStorageAdapter().setItem(STORAGE_KEY, JSON.stringify(sessions));
+    return true;
+  } catch (e) {
+    if (getStorageAdapter().loading) throw e;
+    console.error('Failed to save sessions:', e);
+    return false;
+  }
+}
+
+/**
+ * Get a single session by code
+ * Stored sessions are migrated to the current schema and validated on the way
+ * out; upgrades and repairs are written back so they only happen once.
+ * @throws {InvalidSessionError} When the stored session can't be repaired
+ */
+function getSession(code) {
+  const sessions = getAllSessions();
+  const sessionId = code.toUpperCase();
+  const stored = sessions[sessionId];
   
-  const result = {
-    items: {},           // Per-item breakdown
-    subtotals: {},       // Per-person food subtotals
-    taxShares: {},       // Per-person tax shares
-    tipShares: {},       // Per-person tip shares
-    totals: {},          // Per-person grand totals
-    unclaimed: [],       // Items not claimed
-    details: {}          // Detailed breakdown per person
-  };
-  
-  // Initialize all participants
-  session.participants.forEach(p => {
-    result.subtotals[p.id] = 0;
-    result.taxShares[p.id] = 0;
-    result.tipShares[p.id] = 0;
-    result.totals[p.id] = 0;
-    result.details[p.id] = {
-      name: p.name,
-      emoji: p.emoji,
-      items: []
-    };
-  });
+  if (!stored) return null;
   
-  let totalFoodSubtotal = 0;
+  const { session, problems } = validateSession(migrateSession(stored, sessionId));
   
-  // Calculate per-item costs
-  session.receipt.items.forEach(item => {
-    const itemSelections = session.selections.filter(s => s.itemId === item.id);
-    
-    if (itemSelections.length === 0) {
-      result.unclaimed.push(item);
-      return;
+  if (problems.length > 0 || session.schemaVersion !== stored.schemaVersion) {
+    if (problems.length > 0) {
+      console.warn(`Repaired session ${sessionId}: ${problems.join('; ')}`);
     }
+    sessions[sessionId] = session;
+    saveAllSessions(sessions);
+  }
+  
+  return session;
+}
+
+/**
+ * Save a single session
+ * The session must still be at the version it was read at; the stored copy is
+ * re-read right before writing and a ConflictError is thrown if it moved on.
+ * @param {Object} session - Session read via getSession and then modified
+ * @returns {Object} The saved session with its version bumped
+ */
+function saveSession(session) {
+  const sessions = getAllSessions();
+  const stored = sessions[session.id];
+  const storedVersion = stored ? (stored.version || 0) : 0;
+  const baseVersion = session.version || 0;
+  
+  if (stored && storedVersion !== baseVersion) {
+    throw new ConflictError(session.id, baseVersion, storedVersion);
+  }
+  
+  session.version = storedVersion + 1;
+  session.lastModified = now();
+  sessions[session.id] = session;
+  saveAllSessions(sessions);
+  
+  // Broadcast change for real-time sync
+  broadcastSync(session.id);
+  
+  // Push to other devices, as a delta when there is a previous version
+  if (syncTransport) {
+    syncTransport.publish(session, stored ? createDelta(stored, session) : null);
+  }
+  
+  return session;
+}
+
+/**
+ * Throw a ConflictError if the caller's expected version is outdated
+ * @param {Object} session - Freshly read session
+ * @param {Object} options - Mutator options {expectedVersion}
+ */
+function assertVersion(session, options = {}) {
+  const expected = options.expectedVersion;
+  if (expected !== undefined && expected !== null && (session.version || 0) !== expected) {
+    throw new ConflictError(session.id, expected, session.version || 0);
+  }
+}
+
+/**
+ * Run a mutation, replaying it on fresh state when it hits a version conflict
+ * @param {string} sessionId - Session code
+ * @param {Function} mutate - Called with the latest session; should pass
+ *   {expectedVersion: session.version} to the mutator it calls
+ * @param {number} maxAttempts - Give up after this many conflicts
+ * @returns {*} Whatever mutate returns
+ */
+function retryOnConflict(sessionId, mutate, maxAttempts = 3) {
+  for (let attempt = 1; ; attempt++) {
+    const session = getSession(sessionId);
     
-    const itemTotal = item.price * (item.quantity || 1);
-    totalFoodSubtotal += itemTotal;
-    
-    const itemBreakdown = {
-      itemId: item.id,
-      name: item.name,
-      total: itemTotal,
-      shares: {}
-    };
+    if (!session) {
+      throw new Error('Session not found');
+    }
     
-    // Calculate shares based on split type
-    itemSelections.forEach(selection => {
-      let share = 0;
-      
-      switch (selection.splitType) {
-        case 'solo':
-          share = itemTotal;
-          break;
-          
-        case 'even':
-          share = itemTotal / itemSelections.length;
-          break;
-          
-        case 'percentage':
-          share = (itemTotal * (selection.value || 0)) / 100;
-          break;
-          
-        case 'units':
-          // Calculate total units claimed for this item
-          const totalUnits = itemSelections
-            .filter(s => s.splitType === 'units')
-            .reduce((sum, s) => sum + (s.value || 0), 0);
-          
-          if (totalUnits > 0) {
-            share = ((selection.value || 0) / totalUnits) * itemTotal;
-          }
-          break;
+    try {
+      return mutate(session);
+    } catch (e) {
+      if (!(e instanceof ConflictError) || attempt >= maxAttempts) {
+        throw e;
+      }
+    }
+  }
+}
+
+// ============================================
+// DELTAS (JSON PATCH)
+// ============================================
+
+/**
+ * Sessions are synced as deltas: {sessionId, baseVersion, version, ops}, where
+ * ops is a list of JSON-patch (RFC 6902) add/remove/replace operations that
+ * turn version baseVersion into version. A receiver whose copy is not at
+ * baseVersion has missed something and must fetch a full snapshot instead.
+ */
+
+/**
+ * Escape an object key for use in a JSON pointer
+ */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Deep equality for JSON values
+ */
+function jsonEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Append the patch operations turning `before` into `after` to ops
+ */
+function diffValues(before, after, path, ops) {
+  if (jsonEqual(before, after)) return;
+  
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  
+  if (Array.isArray(before) && Array.isArray(after)) {
+    diffArrays(before, after, path, ops);
+  } else if (isObject(before) && isObject(after)) {
+    Object.keys(before).forEach(key => {
+      if (!(key in after)) {
+        ops.push({ op: 'remove', path: `${path}/${escapePointer(key)}` });
+      }
+    });
+    Object.keys(after).forEach(key => {
+      const childPath = `${path}/${escapePointer(key)}`;
+      if (!(key in before)) {
+        ops.push({ op: 'add', path: childPath, value: clone(after[key]) });
+      } else {
+        diffValues(before[key], after[key], childPath, ops);
       }
-      
-      share = Math.round(share * 100) / 100; // Round to 2 decimals
-      
-      itemBreakdown.shares[selection.participantId] = share;
-      result.subtotals[selection.participantId] += share;
-      result.subtotals[selection.participantId] = 
-        Math.round(result.subtotals[selection.participantId] * 100) / 100;
-      
-      result.details[selection.participantId].items.push({
-        itemId: item.id,
-        name: item.name,
-        price: item.price,
-        splitType: selection.splitType,
-        splitValue: selection.value,
-        share: share
-      });
     });
+  } else {
+    ops.push({ op: 'replace', path, value: clone(after) });
+  }
+}
+
+/**
+ * Diff two arrays, skipping their common prefix and suffix so that appends
+ * and single removals (the usual claim changes) stay one operation
+ */
+function diffArrays(before, after, path, ops) {
+  let start = 0;
+  while (start < before.length && start < after.length && jsonEqual(before[start], after[start])) {
+    start++;
+  }
+  
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && jsonEqual(before[endBefore - 1], after[endAfter - 1])) {
+    endBefore--;
+    endAfter--;
+  }
+  
+  const common = Math.min(endBefore - start, endAfter - start);
+  for (let i = start; i < start + common; i++) {
+    diffValues(before[i], after[i], `${path}/${i}`, ops);
+  }
+  
+  // Remove from the back so earlier indexes stay valid
+  for (let i = endBefore - 1; i >= start + common; i--) {
+    ops.push({ op: 'remove', path: `${path}/${i}` });
+  }
+  for (let i = start + common; i < endAfter; i++) {
+    ops.push({ op: 'add', path: `${path}/${i}`, value: clone(after[i]) });
+  }
+}
+
+/**
+ * Compute the JSON-patch operations between two JSON documents
+ * @param {*} before - Original document
+ * @param {*} after - Updated document
+ * @returns {Array} Patch operations
+ */
+function diffJson(before, after) {
+  const ops = [];
+  diffValues(clone(before), clone(after), '', ops);
+  return ops;
+}
+
+/**
+ * Apply JSON-patch operations (add, remove, replace) to a document
+ * @param {*} doc - Document to patch (not modified)
+ * @param {Array} ops - Patch operations
+ * @returns {*} Patched copy
+ */
+function applyPatch(doc, ops) {
+  let result = clone(doc);
+  
+  ops.forEach(({ op, path, value }) => {
+    if (path === '') {
+      if (op === 'remove') throw new Error('Cannot remove the document root');
+      result = clone(value);
+      return;
+    }
     
-    result.items[item.id] = itemBreakdown;
+    const keys = path.slice(1).split('/').map(k => k.replace(/~1/g, '/').replace(/~0/g, '~'));
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+      if (node === null || typeof node !== 'object' || !(key in node)) {
+        throw new Error(`Invalid patch path: ${path}`);
+      }
+      return node[key];
+    }, result);
+    
+    if (Array.isArray(parent)) {
+      const index = last === '-' ? parent.length : parseInt(last, 10);
+      if (isNaN(index) || index < 0 || index > parent.length) {
+        throw new Error(`Invalid patch path: ${path}`);
+      }
+      if (op === 'add') parent.splice(index, 0, clone(value));
+      else if (op === 'remove') parent.splice(index, 1);
+      else if (op === 'replace') parent[index] = clone(value);
+    } else if (parent !== null && typeof parent === 'object') {
+      if (op === 'remove') delete parent[last];
+      else parent[last] = clone(value);
+    } else {
+      throw new Error(`Invalid patch path: ${path}`);
+    }
   });
   
-  // Calculate tax and tip distribution proportionally
-  const tax = session.receipt.tax || 0;
-  const tip = session.receipt.tip || 0;
+  return result;
+}
+
+/**
+ * Build the delta between two versions of a session
+ * @param {Object} before - Session at baseVersion
+ * @param {Object} after - Session at the new version
+ * @returns {Object} Delta {sessionId, baseVersion, version, ops}
+ */
+function createDelta(before, after) {
+  return {
+    sessionId: after.id,
+    baseVersion: before.version || 0,
+    version: after.version || 0,
+    ops: diffJson(before, after)
+  };
+}
+
+/**
+ * Apply a delta to the locally stored copy of its session
+ * @param {Object} delta - Delta from another device
+ * @returns {boolean} False when the local copy is missing or not at the
+ *   delta's base version (a gap) and a full snapshot is needed
+ */
+function applyRemoteDelta(delta) {
+  const sessions = getAllSessions();
+  const local = sessions[delta.sessionId];
   
-  if (totalFoodSubtotal > 0) {
-    session.participants.forEach(p => {
-      const personSubtotal = result.subtotals[p.id] || 0;
-      const proportion = personSubtotal / totalFoodSubtotal;
-      
-      result.taxShares[p.id] = Math.round(tax * proportion * 100) / 100;
-      result.tipShares[p.id] = Math.round(tip * proportion * 100) / 100;
-      
-      result.totals[p.id] = Math.round(
-        (personSubtotal + result.taxShares[p.id] + result.tipShares[p.id]) * 100
-      ) / 100;
-    });
+  if (!local) return false;
+  
+  const localVersion = local.version || 0;
+  if (localVersion >= delta.version) return true; // Already have it
+  if (localVersion !== delta.baseVersion) return false;
+  
+  let patched;
+  try {
+    patched = applyPatch(local, delta.ops);
+  } catch (e) {
+    console.error('Failed to apply delta:', e);
+    return false;
   }
   
-  // Calculate grand total
-  result.grandTotal = Object.values(result.totals).reduce((sum, t) => sum + t, 0);
-  result.grandTotal = Math.round(result.grandTotal * 100) / 100;
+  patched.version = delta.version;
+  sessions[delta.sessionId] = patched;
+  saveAllSessions(sessions);
+  broadcastSync(delta.sessionId);
+  return true;
+}
+
+// ============================================
+// SYNC SYSTEM
+// ============================================
+
+// BroadcastChannel for cross-tab sync (if available)
+let broadcastChannel = null;
+if (typeof BroadcastChannel !== 'undefined') {
+  broadcastChannel = new BroadcastChannel(SYNC_CHANNEL);
+  // Don't keep a Node process alive just for the channel
+  if (typeof broadcastChannel.unref === 'function') {
+    broadcastChannel.unref();
+  }
+}
+
+// Active syncs (session code -> stop function)
+const activeSyncs = new Map();
+
+// Optional cross-device transport (see createWebSocketTransport)
+let syncTransport = null;
+
+/**
+ * Broadcast sync event to other tabs
+ */
+function broadcastSync(sessionId) {
+  if (broadcastChannel) {
+    broadcastChannel.postMessage({ type: 'sync', sessionId, timestamp: now() });
+  }
+}
+
+/**
+ * Setup BroadcastChannel listener
+ */
+function setupBroadcastListener(callback) {
+  if (!broadcastChannel) return;
   
-  // Summary
-  result.summary = {
-    foodSubtotal: totalFoodSubtotal,
-    tax: tax,
-    tip: tip,
-    grandTotal: result.grandTotal,
-    participantCount: session.participants.length,
-    unclaimedCount: result.unclaimed.length
+  broadcastChannel.onmessage = (event) => {
+    if (event.data?.type === 'sync') {
+      const session = getSession(event.data.sessionId);
+      if (session && callback) {
+        callback(session);
+      }
+    }
   };
-  
-  return result;
 }
 
 // ============================================
-// SYNC & POLLING SYSTEM
+// EVENT LOG
 // ============================================
 
 /**
- * Sync session state with localStorage
- * Handles race conditions via timestamps
- * @param {string} code - Session code
- * @param {Function} onUpdate - Callback when session is updated
- * @returns {Object} Current session state
+ * Every mutation is recorded as an append-only event on session.events:
+ *   { id, version, type, actor, payload, timestamp }
+ * Mutators validate against the current state and then commit an event. The
+ * reducers below are the only code that changes session state, so replaying
+ * the log from its first event rebuilds the session exactly.
  */
-function syncSession(code, onUpdate = null) {
-  const session = getSession(code);
+const EVENT_REDUCERS = {
+  'session.created': (session, payload) => {
+    Object.assign(session, {
+      id: payload.id,
+      schemaVersion: SCHEMA_VERSION,
+      hostId: payload.hostId,
+      status: 'lobby',
+      createdAt: payload.createdAt,
+      expiresAt: payload.expiresAt,
+      receipts: [createReceipt(DEFAULT_RECEIPT_ID)],
+      participants: [],
+      selections: [],
+      tombstones: {},
+      kickedUsers: [],
+      paymentMethods: {},
+      tipPolicy: clone(DEFAULT_TIP_POLICY),
+      claimPolicy: 'unclaimed',
+      orphanResolutions: {},
+      settlements: {},
+      currency: null,
+      exchangeRates: {},
+      undoStacks: {}
+    });
+  },
+  
+  'participant.joined': (session, payload, event) => {
+    const user = payload.user;
+    const existingIndex = session.participants.findIndex(p => p.id === user.id);
+    
+    if (existingIndex >= 0) {
+      // Update existing participant
+      session.participants[existingIndex] = {
+        ...session.participants[existingIndex],
+        ...user,
+        lastSeenAt: event.timestamp
+      };
+    } else {
+      // Add new participant
+      session.participants.push({
+        id: user.id,
+        name: user.name,
+        emoji: user.emoji || '👤',
+        joinedAt: event.timestamp,
+        lastSeenAt: event.timestamp
+      });
+    }
+  },
+  
+  'participant.left': (session, payload) => {
+    const userId = payload.participantId;
+    
+    // Remove participant and their selections
+    session.participants = session.participants.filter(p => p.id !== userId);
+    removeSelections(session, s => s.participantId === userId);
+    
+    // If host leaves, assign new host or close
+    if (session.hostId === userId && session.participants.length > 0) {
+      session.hostId = session.participants[0].id;
+    } else if (session.participants.length === 0) {
+      // No participants - mark for cleanup
+      session.status = 'closed';
+    }
+  },
+  
+  'participant.kicked': (session, payload, event) => {
+    EVENT_REDUCERS['participant.left'](session, payload, event);
+    
+    // Kicked users can't rejoin
+    session.kickedUsers = session.kickedUsers || [];
+    if (!session.kickedUsers.includes(payload.participantId)) {
+      session.kickedUsers.push(payload.participantId);
+    }
+  },
+  
+  'paymentMethods.set': (session, payload) => {
+    session.paymentMethods = clone(payload.paymentMethods);
+  },
+  
+  'receipt.taxRatesSet': (session, payload) => {
+    const receipt = findReceipt(session, payload.receiptId);
+    if (!receipt) return; // Removed on another device
+    receipt.taxRates = clone(payload.taxRates);
+  },
+  
+  'tipPolicy.set': (session, payload) => {
+    session.tipPolicy = clone(payload.tipPolicy);
+  },
+  
+  'claimPolicy.set': (session, payload) => {
+    session.claimPolicy = payload.claimPolicy;
+  },
+  
+  'orphans.resolved': (session, payload) => {
+    session.orphanResolutions = session.orphanResolutions || {};
+    payload.itemIds.forEach(itemId => {
+      session.orphanResolutions[itemId] = clone(payload.resolution);
+    });
+  },
+  
+  'orphan.cleared': (session, payload) => {
+    delete (session.orphanResolutions || {})[payload.itemId];
+  },
+  
+  'currency.set': (session, payload) => {
+    session.currency = payload.currency;
+  },
+  
+  'exchangeRates.set': (session, payload) => {
+    session.exchangeRates = { ...(session.exchangeRates || {}), ...clone(payload.rates) };
+  },
+  
+  'settlement.marked': (session, payload, event) => {
+    const entry = settlementEntry(session, payload.from, payload.to);
+    Object.assign(entry, {
+      amount: payload.amount,
+      markedAt: event.timestamp,
+      confirmedAt: null
+    });
+  },
+  
+  'settlement.confirmed': (session, payload, event) => {
+    const entry = settlementEntry(session, payload.from, payload.to);
+    // A receiver can confirm a cash payment the payer never marked
+    if (entry.amount !== payload.amount) {
+      entry.markedAt = null;
+    }
+    entry.amount = payload.amount;
+    entry.confirmedAt = event.timestamp;
+  },
+  
+  'settlement.reminded': (session, payload, event) => {
+    payload.transfers.forEach(transfer => {
+      const entry = settlementEntry(session, transfer.from, transfer.to);
+      entry.remindedAt = event.timestamp;
+      entry.remindedBy = event.actor;
+    });
+  },
+  
+  'discount.added': (session, payload) => {
+    const receipt = findReceipt(session, payload.receiptId);
+    if (!receipt) return;
+    receipt.discounts = (receipt.discounts || [])
+      .filter(d => d.id !== payload.discount.id)
+      .concat([clone(payload.discount)]);
+    recalculateReceiptTotal(receipt);
+  },
+  
+  'discount.removed': (session, payload) => {
+    const receipt = findReceipt(session, payload.receiptId);
+    if (!receipt) return;
+    receipt.discounts = (receipt.discounts || [])
+      .filter(d => d.id !== payload.discountId);
+    recalculateReceiptTotal(receipt);
+  },
+  
+  'fee.added': (session, payload) => {
+    const receipt = findReceipt(session, payload.receiptId);
+    if (!receipt) return;
+    receipt.fees = (receipt.fees || [])
+      .filter(f => f.id !== payload.fee.id)
+      .concat([clone(payload.fee)]);
+    recalculateReceiptTotal(receipt);
+  },
+  
+  'fee.removed': (session, payload) => {
+    const receipt = findReceipt(session, payload.receiptId);
+    if (!receipt) return;
+    receipt.fees = (receipt.fees || [])
+      .filter(f => f.id !== payload.feeId);
+    recalculateReceiptTotal(receipt);
+  },
+  
+  'item.selected': (session, payload, event) => {
+    const { participantId, itemId, splitType, displacedTags } = payload;
+    
+    // Existing selection for this participant + item is replaced; a solo split
+    // also displaces the other claims its author had seen (every claim for
+    // events recorded before displacedTags existed)
+    const removed = removeSelections(session, s => s.itemId === itemId && (
+      s.participantId === participantId ||
+      (splitType === 'solo' && (!displacedTags || displacedTags.includes(selectionTag(s))))
+    ));
+    
+    const selection = {
+      participantId,
+      itemId,
+      splitType,
+      value: splitType === 'solo' ? null : payload.value,
+      selectedAt: event.timestamp,
+      tag: event.id
+    };
+    
+    // A merge may replay the add after a removal that had already seen it
+    if (!session.tombstones[selection.tag]) {
+      session.selections.push(selection);
+    }
+    
+    if (session.status === 'lobby') {
+      session.status = 'selecting';
+    }
+    
+    pushUndo(session, event.actor, { kind: 'selections', itemId, removed, added: [selection] });
+  },
+  
+  'item.deselected': (session, payload, event) => {
+    // Only the claims the user had seen are removed
+    const removed = removeSelections(session, s =>
+      s.participantId === payload.participantId && s.itemId === payload.itemId &&
+      (!payload.tags || payload.tags.includes(selectionTag(s)))
+    );
+    
+    if (removed.length > 0) {
+      pushUndo(session, event.actor, { kind: 'selections', itemId: payload.itemId, removed, added: [] });
+    }
+  },
+  
+  'receipt.set': (session, payload, event) => {
+    const index = session.receipts.indexOf(findReceipt(session, payload.receiptId));
+    if (index < 0) return;
+    const current = session.receipts[index];
+    const before = { receipt: current, status: session.status };
+    
+    // Items added elsewhere that the new receipt's author hadn't seen are kept
+    const replaced = payload.replacedItemIds;
+    const newIds = payload.receipt.items.map(i => i.id);
+    const kept = replaced ? current.items.filter(
+      i => !replaced.includes(i.id) && !newIds.includes(i.id)
+    ) : [];
+    
+    // Tax rates and merchant details carry over unless the new receipt sets them
+    const receipt = createReceipt(current.id, {
+      merchant: current.merchant,
+      date: current.date,
+      payer: current.payer,
+      taxRates: clone(current.taxRates || {}),
+      ...clone(payload.receipt)
+    });
+    
+    session.receipts[index] = clone(receipt);
+    if (kept.length > 0) {
+      session.receipts[index].items.push(...kept);
+      recalculateReceiptTotal(session.receipts[index]);
+    }
+    session.status = 'selecting';
+    
+    pushUndo(session, event.actor, {
+      kind: 'receipt',
+      receiptId: current.id,
+      before,
+      after: { receipt, status: 'selecting' }
+    });
+  },
+  
+  'receipt.added': (session, payload) => {
+    if (session.receipts.some(r => r.id === payload.receipt.id)) return;
+    session.receipts.push(createReceipt(payload.receipt.id, clone(payload.receipt)));
+    session.status = 'selecting';
+  },
+  
+  'receipt.removed': (session, payload) => {
+    const receipt = findReceipt(session, payload.receiptId);
+    if (!receipt || session.receipts.length === 1) return;
+    
+    const itemIds = receipt.items.map(i => i.id);
+    session.receipts = session.receipts.filter(r => r !== receipt);
+    removeSelections(session, s => itemIds.includes(s.itemId));
+    itemIds.forEach(itemId => {
+      delete (session.orphanResolutions || {})[itemId];
+    });
+  },
+  
+  'receipt.paymentsSet': (session, payload) => {
+    const receipt = findReceipt(session, payload.receiptId);
+    if (!receipt) return;
+    receipt.payments = clone(payload.payments);
+  },
+  
+  'receipt.infoSet': (session, payload) => {
+    const receipt = findReceipt(session, payload.receiptId);
+    if (!receipt) return;
+    Object.assign(receipt, clone(payload.info));
+  },
+  
+  'receipt.itemAdded': (session, payload, event) => {
+    const receipt = findReceipt(session, payload.receiptId);
+    if (!receipt) return;
+    receipt.items.push(clone(payload.item));
+    recalculateReceiptTotal(receipt);
+    
+    pushUndo(session, event.actor, {
+      kind: 'itemAdded',
+      receiptId: receipt.id,
+      item: clone(payload.item),
+      selections: []
+    });
+  },
+  
+  'history.undone': (session, payload, event) => {
+    const stacks = getUndoStacks(session, event.actor);
+    const entry = stacks.undo.pop();
+    if (!entry) return; // Merged replicas may have undone the same step
+    applyUndoEntry(session, entry, 'undo', event);
+    stacks.redo.push(entry);
+  },
+  
+  'history.redone': (session, payload, event) => {
+    const stacks = getUndoStacks(session, event.actor);
+    const entry = stacks.redo.pop();
+    if (!entry) return;
+    applyUndoEntry(session, entry, 'redo', event);
+    stacks.undo.push(entry);
+  },
+  
+  'status.changed': (session, payload) => {
+    session.status = payload.status;
+  }
+};
+
+/**
+ * Build a receipt, filling in whatever fields aren't given
+ * payer is the participant who paid it; null means the host. payments, when
+ * not empty, split the bill across several people or cards instead. A null
+ * currency means the session's currency.
+ */
+function createReceipt(id, fields = {}) {
+  return {
+    id,
+    merchant: null,
+    date: null,
+    currency: null,
+    payer: null,
+    payments: [],
+    imageUrl: null,
+    items: [],
+    tax: 0,
+    tip: 0,
+    total: 0,
+    taxRates: {},
+    discounts: [],
+    fees: [],
+    ...fields,
+    id
+  };
+}
+
+/**
+ * Find a receipt by ID, or the session's first receipt when no ID is given
+ * (events recorded before sessions held several receipts carry none)
+ */
+function findReceipt(session, receiptId) {
+  return receiptId ? session.receipts.find(r => r.id === receiptId) : session.receipts[0];
+}
+
+/**
+ * Find an item on any of the session's receipts
+ */
+function findItem(session, itemId) {
+  for (const receipt of session.receipts) {
+    const item = receipt.items.find(i => i.id === itemId);
+    if (item) return item;
+  }
+  return undefined;
+}
+
+/**
+ * Currency the session settles in: the host's choice, else the first
+ * receipt that names one
+ */
+function sessionCurrency(session) {
+  const priced = (session.receipts || []).find(receipt => receipt.currency);
+  return session.currency || (priced ? priced.currency : DEFAULT_CURRENCY);
+}
+
+/**
+ * Key of the settlements entry for transfers from one person to another
+ */
+function settlementKey(from, to) {
+  return `${from}>${to}`;
+}
+
+/**
+ * Get (creating if needed) the record kept for transfers from one person to another
+ */
+function settlementEntry(session, from, to) {
+  session.settlements = session.settlements || {};
+  const key = settlementKey(from, to);
+  if (!session.settlements[key]) {
+    session.settlements[key] = { from, to, amount: 0, markedAt: null, confirmedAt: null, remindedAt: null, remindedBy: null };
+  }
+  return session.settlements[key];
+}
+
+/**
+ * Recalculate receipt.total as the bill comes to: its items less discounts,
+ * plus tax, tip and fees (bill discounts come off after the item ones)
+ */
+function recalculateReceiptTotal(receipt) {
+  const itemCents = receipt.items.reduce(
+    (sum, i) => sum + toCents(i.price) * (i.quantity || 1), 0
+  );
+  const itemDiscounts = itemDiscountCents(receipt);
+  const netCents = itemCents - Object.keys(itemDiscounts).reduce((sum, id) => sum + itemDiscounts[id], 0);
+  
+  let billDiscountCents = 0;
+  (receipt.discounts || []).filter(d => d.appliesTo === 'bill').forEach(discount => {
+    const amount = discount.type === 'percentage'
+      ? Math.round(netCents * discount.value / 100)
+      : toCents(discount.value);
+    billDiscountCents += Math.min(amount, netCents - billDiscountCents);
+  });
+  
+  const feeCents = (receipt.fees || []).reduce((sum, f) => sum + toCents(f.amount), 0);
+  
+  receipt.total = fromCents(
+    netCents - billDiscountCents + toCents(receipt.tax || 0) + toCents(receipt.tip || 0) + feeCents
+  );
+}
+
+// ============================================
+// UNDO / REDO
+// ============================================
+
+/**
+ * Undo entries live on session.undoStacks[userId] = {undo: [], redo: []} and
+ * are maintained by the event reducers, so replaying the log rebuilds them.
+ * Entry kinds:
+ *   selections - {itemId, removed, added} selections swapped on one item
+ *   itemAdded  - {receiptId, item, selections} item appended by addReceiptItem
+ *   receipt    - {receiptId, before, after} receipt and status around setReceipt
+ */
+
+/**
+ * Get (creating if needed) a user's undo and redo stacks
+ */
+function getUndoStacks(session, userId) {
+  session.undoStacks = session.undoStacks || {};
+  if (!session.undoStacks[userId]) {
+    session.undoStacks[userId] = { undo: [], redo: [] };
+  }
+  return session.undoStacks[userId];
+}
+
+/**
+ * Record an undoable change; a fresh change clears the redo stack
+ */
+function pushUndo(session, userId, entry) {
+  if (!userId) return; // Changes without an actor can't be undone by anyone
+  
+  const stacks = getUndoStacks(session, userId);
+  stacks.undo.push(clone(entry));
+  stacks.redo = [];
+  
+  if (stacks.undo.length > UNDO_LIMIT) {
+    stacks.undo.shift();
+  }
+}
+
+/**
+ * Apply an undo entry backwards ('undo') or forwards ('redo')
+ * Restored selections are re-tagged from the undo/redo event, since their
+ * original tags are tombstoned.
+ */
+function applyUndoEntry(session, entry, direction, event) {
+  const isSame = (a, b) => a.participantId === b.participantId &&
+    a.itemId === b.itemId && a.selectedAt === b.selectedAt;
+  let restored = 0;
+  const restore = (selection) => {
+    session.selections.push({ ...clone(selection), tag: `${event.id}:${restored++}` });
+  };
+  
+  switch (entry.kind) {
+    case 'selections': {
+      const toRemove = direction === 'undo' ? entry.added : entry.removed;
+      const toRestore = direction === 'undo' ? entry.removed : entry.added;
+      
+      removeSelections(session, s => toRemove.some(r => isSame(s, r)));
+      
+      // Restore exact selections, unless that person has claimed the item again since
+      toRestore.forEach(selection => {
+        const claimedSince = session.selections.some(
+          s => s.participantId === selection.participantId && s.itemId === selection.itemId
+        );
+        if (!claimedSince) {
+          restore(selection);
+        }
+      });
+      break;
+    }
+    
+    case 'itemAdded': {
+      const receipt = findReceipt(session, entry.receiptId);
+      if (!receipt) break; // The receipt has since been removed
+      
+      if (direction === 'undo') {
+        entry.selections = removeSelections(session, s => s.itemId === entry.item.id);
+        receipt.items = receipt.items.filter(i => i.id !== entry.item.id);
+      } else {
+        receipt.items.push(clone(entry.item));
+        entry.selections.forEach(restore);
+      }
+      recalculateReceiptTotal(receipt);
+      break;
+    }
+    
+    case 'receipt': {
+      const target = direction === 'undo' ? entry.before : entry.after;
+      const index = session.receipts.indexOf(findReceipt(session, entry.receiptId));
+      if (index < 0) break;
+      // Entries recorded before receipts had IDs don't carry one
+      session.receipts[index] = createReceipt(session.receipts[index].id, clone(target.receipt));
+      session.status = target.status;
+      break;
+    }
+  }
+}
+
+/**
+ * Event payload for undoing or redoing an entry: the item it touched, if any,
+ * so history filtered by item includes the undo and redo
+ */
+function undoPayload(entry) {
+  const itemId = entry.itemId || (entry.item && entry.item.id);
+  return itemId ? { itemId } : {};
+}
+
+/**
+ * Undo the user's most recent claim or receipt edit
+ * @param {string} sessionId - Session code
+ * @param {string} userId - Participant whose change to undo
+ * @param {Object} options - {expectedVersion} to reject stale updates
+ * @returns {Object} Updated session
+ */
+function undo(sessionId, userId, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  if (!canUndo(session, userId)) {
+    throw new Error('Nothing to undo');
+  }
+  
+  const stack = session.undoStacks[userId].undo;
+  return commitEvent(session, 'history.undone', userId, undoPayload(stack[stack.length - 1]));
+}
+
+/**
+ * Redo the user's most recently undone change
+ * @param {string} sessionId - Session code
+ * @param {string} userId - Participant whose change to redo
+ * @param {Object} options - {expectedVersion} to reject stale updates
+ * @returns {Object} Updated session
+ */
+function redo(sessionId, userId, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  if (!canRedo(session, userId)) {
+    throw new Error('Nothing to redo');
+  }
+  
+  const stack = session.undoStacks[userId].redo;
+  return commitEvent(session, 'history.redone', userId, undoPayload(stack[stack.length - 1]));
+}
+
+/**
+ * Check whether a user has anything to undo
+ * @param {Object} session - Session object
+ * @param {string} userId - Participant ID
+ * @returns {boolean}
+ */
+function canUndo(session, userId) {
+  const stacks = session.undoStacks && session.undoStacks[userId];
+  return !!stacks && stacks.undo.length > 0;
+}
+
+/**
+ * Check whether a user has anything to redo
+ * @param {Object} session - Session object
+ * @param {string} userId - Participant ID
+ * @returns {boolean}
+ */
+function canRedo(session, userId) {
+  const stacks = session.undoStacks && session.undoStacks[userId];
+  return !!stacks && stacks.redo.length > 0;
+}
+
+// ============================================
+// EVENT APPLICATION
+// ============================================
+
+/**
+ * Apply a single event to session state
+ * @param {Object} session - Session state (modified in place)
+ * @param {Object} event - Event from the log
+ * @returns {Object} The session
+ */
+function applyEvent(session, event) {
+  const reducer = EVENT_REDUCERS[event.type];
+  
+  if (!reducer) {
+    throw new Error(`Unknown event type: ${event.type}`);
+  }
+  
+  reducer(session, event.payload, event);
+  return session;
+}
+
+/**
+ * Record a mutation: apply it, append it to the log and save
+ * @param {Object} session - Session read via getSession
+ * @param {string} type - Event type (a key of EVENT_REDUCERS)
+ * @param {string|null} actor - Participant ID responsible for the change
+ * @param {Object} payload - Event data
+ * @returns {Object} Updated session
+ */
+function commitEvent(session, type, actor, payload) {
+  const event = {
+    id: generateId(),
+    version: (session.version || 0) + 1,
+    type,
+    actor: actor || null,
+    payload: clone(payload),
+    timestamp: now()
+  };
+  
+  applyEvent(session, event);
+  
+  session.events = session.events || [];
+  session.events.push(event);
+  
+  return saveSession(session);
+}
+
+/**
+ * Rebuild session state by replaying an event log
+ * @param {Array} events - Events, oldest first, starting with 'session.created'
+ * @returns {Object} Session state after the last event
+ */
+function replayEvents(events) {
+  if (!events.length || events[0].type !== 'session.created') {
+    throw new Error('Session history is incomplete');
+  }
+  
+  const session = {};
+  
+  events.forEach(event => {
+    applyEvent(session, clone(event));
+    session.version = event.version;
+    session.lastModified = event.timestamp;
+  });
+  
+  session.events = clone(events);
+  return session;
+}
+
+/**
+ * List the events recorded on a session
+ * @param {string} sessionId - Session code
+ * @param {Object} filter - Optional {actor, type, itemId}
+ * @returns {Array} Matching events, oldest first
+ */
+function getSessionHistory(sessionId, filter = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  return (session.events || []).filter(event => {
+    if (filter.actor && event.actor !== filter.actor) return false;
+    if (filter.type && event.type !== filter.type) return false;
+    if (filter.itemId) {
+      const itemId = event.payload.itemId || (event.payload.item && event.payload.item.id);
+      if (itemId !== filter.itemId) return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Rebuild a session as it was at an earlier point
+ * @param {string} sessionId - Session code
+ * @param {Object} point - {version} and/or {timestamp}; events after it are ignored
+ * @returns {Object} Historical session state
+ */
+function getSessionAt(sessionId, point = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  const events = (session.events || []).filter(event =>
+    (point.version === undefined || event.version <= point.version) &&
+    (point.timestamp === undefined || event.timestamp <= point.timestamp)
+  );
+  
+  return replayEvents(events);
+}
+
+// ============================================
+// MERGING (CRDT)
+// ============================================
+
+/**
+ * The event log doubles as an operation-based CRDT. Replicas that diverged
+ * (offline edits, lost races) exchange events, and replaying the union of both
+ * logs in (timestamp, version, event id) order gives every device the same
+ * state (the version keeps one device's events in the order it made them when
+ * several share a millisecond):
+ * - Selections form an observed-remove set. Each claim is tagged with the ID of
+ *   the event that made it; deselects and solo splits only remove the tags
+ *   their author had seen, and removed tags are kept in session.tombstones so
+ *   an add replayed after its removal stays removed.
+ * - Participants, receipt items and receipt fields are last-writer-wins
+ *   registers, ordered by that same event order. A new receipt keeps items
+ *   added concurrently that its author hadn't seen, and receipts added on
+ *   different devices are all kept.
+ */
+
+/**
+ * Unique tag of a selection (derived for selections made before tagging)
+ */
+function selectionTag(selection) {
+  return selection.tag || `${selection.participantId}:${selection.itemId}:${selection.selectedAt}`;
+}
+
+/**
+ * Remove matching selections and tombstone their tags
+ * @param {Object} session - Session state (modified in place)
+ * @param {Function} predicate - Called with each selection
+ * @returns {Array} Removed selections
+ */
+function removeSelections(session, predicate) {
+  session.tombstones = session.tombstones || {};
+  
+  const removed = session.selections.filter(predicate);
+  removed.forEach(s => {
+    session.tombstones[selectionTag(s)] = true;
+  });
+  
+  session.selections = session.selections.filter(s => !removed.includes(s));
+  return removed;
+}
+
+/**
+ * Merge two replicas of the same session
+ * @param {Object} local - Our copy
+ * @param {Object} remote - Copy from another device
+ * @returns {Object} Merged session. When one side already holds every event
+ *   of the other it is returned unchanged; otherwise the merge gets a version
+ *   above both so it supersedes them.
+ */
+function mergeSessions(local, remote) {
+  const localEvents = local.events || [];
+  const remoteEvents = remote.events || [];
+  const localIds = new Set(localEvents.map(e => e.id));
+  const remoteIds = new Set(remoteEvents.map(e => e.id));
+  const localVersion = local.version || 0;
+  const remoteVersion = remote.version || 0;
+  
+  // One side is simply ahead of the other
+  if (remoteEvents.every(e => localIds.has(e.id)) && localVersion >= remoteVersion) {
+    return clone(local);
+  }
+  if (localEvents.every(e => remoteIds.has(e.id))) {
+    return clone(remote);
+  }
+  
+  const events = localEvents
+    .concat(remoteEvents.filter(e => !localIds.has(e.id)))
+    .sort((a, b) => a.timestamp - b.timestamp || a.version - b.version ||
+      (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+  
+  // Sessions without a full log can't be replayed: newest copy wins
+  if (events[0].type !== 'session.created') {
+    const newer = remoteVersion > localVersion ||
+      (remoteVersion === localVersion && remote.lastModified > local.lastModified);
+    return clone(newer ? remote : local);
+  }
+  
+  const merged = replayEvents(events);
+  merged.version = Math.max(localVersion, remoteVersion) + 1;
+  merged.lastModified = Math.max(local.lastModified || 0, remote.lastModified || 0);
+  return merged;
+}
+
+/**
+ * Merge a session received from another device into the local copy
+ * @param {Object} session - Session from the transport
+ * @returns {Object|null} The local session after merging, or null if none was received
+ */
+function receiveRemoteSession(session) {
+  if (!session || !session.id) return null;
+  
+  // Devices running older code may send older schemas; malformed copies are ignored
+  let remote;
+  try {
+    remote = validateSession(migrateSession(session, session.id)).session;
+  } catch (e) {
+    console.error('Ignoring invalid remote session:', e.message);
+    return null;
+  }
+  
+  const sessions = getAllSessions();
+  const local = sessions[remote.id];
+  const merged = local ? mergeSessions(local, remote) : remote;
+  
+  if (!local || !jsonEqual(merged, local)) {
+    sessions[remote.id] = merged;
+    saveAllSessions(sessions);
+    broadcastSync(remote.id);
+  }
+  return merged;
+}
+
+// ============================================
+// SYNC TRANSPORTS
+// ============================================
+
+/**
+ * WebSocket transport for the sync relay in sync-server.js
+ * Reconnects with exponential backoff and re-subscribes after reconnecting.
+ * Changes are sent as deltas while connected; changes made while offline are
+ * sent as the latest full session once the socket is open again.
+ * @param {string} url - Relay URL, e.g. ws://localhost:8787
+ * @param {Object} options - {WebSocket} implementation to use outside browsers
+ * @returns {Object} Transport {subscribe(sessionId, callback), publish(session, delta),
+ *   requestSnapshot(sessionId), close()}
+ */
+function createWebSocketTransport(url, options = {}) {
+  const WebSocketImpl = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+  
+  if (!WebSocketImpl) {
+    throw new Error('WebSocket is not available');
+  }
+  
+  const listeners = new Map(); // sessionId -> Set of callbacks
+  const pending = new Map();   // sessionId -> session waiting to be published
+  let socket = null;
+  let closed = false;
+  let retryDelay = RECONNECT_DELAY;
+  let retryTimer = null;
+  
+  const isOpen = () => socket && socket.readyState === 1;
+  const send = (message) => socket.send(JSON.stringify(message));
+  
+  const connect = () => {
+    socket = new WebSocketImpl(url);
+    
+    socket.onopen = () => {
+      retryDelay = RECONNECT_DELAY;
+      listeners.forEach((callbacks, sessionId) => send({ type: 'subscribe', sessionId }));
+      pending.forEach(session => send({ type: 'publish', session }));
+      pending.clear();
+    };
+    
+    socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (e) {
+        return;
+      }
+      
+      if (message.type === 'error') {
+        console.error('Sync relay error:', message.message);
+        return;
+      }
+      
+      (listeners.get(message.sessionId) || []).forEach(callback => callback(message));
+    };
+    
+    socket.onclose = () => {
+      socket = null;
+      if (closed) return;
+      retryTimer = setTimeout(connect, retryDelay);
+      retryDelay = Math.min(retryDelay * 2, MAX_RECONNECT_DELAY);
+    };
+    
+    socket.onerror = () => {
+      // onclose follows and schedules the reconnect
+    };
+  };
+  
+  connect();
+  
+  return {
+    type: 'websocket',
+    url,
+    subscribe(sessionId, callback) {
+      if (!listeners.has(sessionId)) {
+        listeners.set(sessionId, new Set());
+        if (isOpen()) send({ type: 'subscribe', sessionId });
+      }
+      listeners.get(sessionId).add(callback);
+      
+      return () => {
+        const callbacks = listeners.get(sessionId);
+        if (!callbacks) return;
+        callbacks.delete(callback);
+        if (callbacks.size === 0) {
+          listeners.delete(sessionId);
+          if (isOpen()) send({ type: 'unsubscribe', sessionId });
+        }
+      };
+    },
+    publish(session, delta = null) {
+      if (isOpen() && !pending.has(session.id)) {
+        send(delta ? { type: 'delta', sessionId: session.id, delta } : { type: 'publish', session });
+      } else {
+        pending.set(session.id, session);
+      }
+    },
+    requestSnapshot(sessionId) {
+      if (isOpen()) send({ type: 'fetch', sessionId });
+    },
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socket) socket.close();
+    }
+  };
+}
+
+/**
+ * Set the transport used to push and receive sessions across devices
+ * @param {Object|null} transport - Transport from createWebSocketTransport, or null for local-only sync
+ * @returns {Object|null} The transport
+ */
+function setSyncTransport(transport) {
+  syncTransport = transport;
+  return transport;
+}
+
+// ============================================
+// SESSION LIFECYCLE
+// ============================================
+
+/**
+ * Create a new session
+ * @param {string} hostId - User ID of the host
+ * @param {Object} host - Optional host profile {name, emoji}
+ * @returns {Object} The created session
+ */
+function createSession(hostId, host = {}) {
+  expireOldSessions();
+  
+  const sessionId = generateRoomCode();
+  const currentTime = now();
+  
+  // Check for code collision (unlikely but possible)
+  const existing = getSession(sessionId);
+  if (existing) {
+    return createSession(hostId, host); // Retry
+  }
+  
+  commitEvent({ id: sessionId, version: 0 }, 'session.created', hostId, {
+    id: sessionId,
+    hostId: hostId,
+    createdAt: currentTime,
+    expiresAt: currentTime + SESSION_TTL
+  });
+  
+  // Auto-join host
+  return joinSession(sessionId, {
+    id: hostId,
+    name: host.name || 'Host',
+    emoji: host.emoji || '🏠'
+  });
+}
+
+/**
+ * Join an existing session
+ * @param {string} code - Room code
+ * @param {Object} user - User object {id, name, emoji}
+ * @param {Object} options - {expectedVersion} to reject stale updates
+ * @returns {Object|null} Session or null if not found/expired
+ */
+function joinSession(code, user, options = {}) {
+  const session = getSession(code);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  if (session.expiresAt < now()) {
+    throw new Error('Session has expired');
+  }
+  
+  if (session.status === 'closed') {
+    throw new Error('Session is closed');
+  }
+  
+  if ((session.kickedUsers || []).includes(user.id)) {
+    throw new Error('You were removed from this session by the host');
+  }
+  
+  return commitEvent(session, 'participant.joined', user.id, { user });
+}
+
+/**
+ * Leave a session
+ * @param {string} sessionId - Session code
+ * @param {string} userId - User ID leaving
+ * @param {Object} options - {expectedVersion} to reject stale updates
+ * @returns {Object|null} Updated session or null
+ */
+function leaveSession(sessionId, userId, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) return null;
+  
+  assertVersion(session, options);
+  
+  return commitEvent(session, 'participant.left', userId, { participantId: userId });
+}
+
+/**
+ * Remove a participant and stop them from rejoining (host only)
+ * @param {string} sessionId - Session code
+ * @param {string} hostId - User attempting the removal (must be host)
+ * @param {string} userId - Participant to remove
+ * @param {Object} options - {expectedVersion} to reject stale updates
+ * @returns {Object} Updated session
+ */
+function kickParticipant(sessionId, hostId, userId, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  if (session.hostId !== hostId) {
+    throw new Error('Only host can remove participants');
+  }
+  
+  if (userId === hostId) {
+    throw new Error('Host cannot remove themselves');
+  }
+  
+  assertVersion(session, options);
+  
+  return commitEvent(session, 'participant.kicked', hostId, { participantId: userId });
+}
+
+/**
+ * Set the host's payment links shown to everyone who owes them
+ * @param {string} sessionId - Session code
+ * @param {Object} paymentMethods - {venmo, cashapp, paypal, applepay}
+ * @param {Object} options - {expectedVersion, actor}
+ * @returns {Object} Updated session
+ */
+function setPaymentMethods(sessionId, paymentMethods, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  return commitEvent(session, 'paymentMethods.set', options.actor, { paymentMethods });
+}
+
+// ============================================
+// ITEM SELECTION & SPLIT LOGIC
+// ============================================
+
+/**
+ * Select an item with specified split type
+ * @param {string} sessionId - Session code
+ * @param {string} userId - Participant ID
+ * @param {string} itemId - Item ID from receipt
+ * @param {string} splitType - 'solo' | 'even' | 'percentage' | 'units' | 'shares' | 'fixed'
+ * @param {number} value - Split value (percentage, units, share weight, or fixed amount)
+ * @param {Object} options - {expectedVersion} to reject stale updates
+ * @returns {Object} Updated session
+ */
+function selectItem(sessionId, userId, itemId, splitType, value = null, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  // Validate participant
+  const participant = session.participants.find(p => p.id === userId);
+  if (!participant) {
+    throw new Error('Participant not found in session');
+  }
+  
+  // Validate item exists
+  const item = findItem(session, itemId);
+  if (!item) {
+    throw new Error('Item not found in receipt');
+  }
+  
+  // Validate split type
+  if (!SPLIT_TYPES.includes(splitType)) {
+    throw new Error(`Invalid split type: ${splitType}`);
+  }
+  
+  // Validate value based on split type
+  if (splitType === 'percentage' && (value === null || value < 0 || value > 100)) {
+    throw new Error('Percentage must be between 0 and 100');
+  }
+  if (splitType === 'units' && (value === null || value < 0)) {
+    throw new Error('Units must be non-negative');
+  }
+  if (splitType === 'shares' && !(value > 0)) {
+    throw new Error('Shares must be positive');
+  }
+  if (splitType === 'fixed') {
+    if (!(value > 0)) {
+      throw new Error('Fixed amount must be positive');
+    }
+    
+    // Everyone's fixed amounts together can't cover more than the item costs
+    const othersFixedCents = session.selections
+      .filter(s => s.itemId === itemId && s.participantId !== userId && s.splitType === 'fixed')
+      .reduce((sum, s) => sum + toCents(s.value || 0), 0);
+    
+    if (othersFixedCents + toCents(value) > toCents(item.price) * item.quantity) {
+      throw new Error('Fixed amounts exceed the item price');
+    }
+  }
+  
+  // Record which claims a solo split displaces, so claims made concurrently
+  // on other devices survive a merge
+  const displacedTags = splitType === 'solo'
+    ? session.selections
+      .filter(s => s.itemId === itemId && s.participantId !== userId)
+      .map(selectionTag)
+    : [];
+  
+  return commitEvent(session, 'item.selected', userId, {
+    participantId: userId,
+    itemId,
+    splitType,
+    value,
+    displacedTags
+  });
+}
+
+/**
+ * Deselect an item
+ * @param {string} sessionId - Session code
+ * @param {string} userId - Participant ID
+ * @param {string} itemId - Item ID
+ * @param {Object} options - {expectedVersion} to reject stale updates
+ * @returns {Object} Updated session
+ */
+function deselectItem(sessionId, userId, itemId, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  const tags = session.selections
+    .filter(s => s.participantId === userId && s.itemId === itemId)
+    .map(selectionTag);
+  
+  return commitEvent(session, 'item.deselected', userId, { participantId: userId, itemId, tags });
+}
+
+// ============================================
+// CALCULATION ENGINE
+// ============================================
+
+/**
+ * Parse a tax rate given as a percentage
+ * @param {*} value - Rate such as 8.875 or '10'; empty means "not set"
+ * @returns {number|null} Rate, or null when not set
+ * @throws {Error} When the rate isn't a number between 0 and 100
+ */
+function normalizeTaxRate(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  
+  const rate = parseFloat(value);
+  
+  if (!isFinite(rate) || rate < 0 || rate > 100) {
+    throw new Error(`Invalid tax rate: ${value}`);
+  }
+  
+  return rate;
+}
+
+/**
+ * Parse a {category: percent} map, dropping categories without a rate
+ * @param {Object} taxRates - Rates by category
+ * @returns {Object} Normalized rates
+ */
+function normalizeTaxRates(taxRates) {
+  const normalized = {};
+  
+  Object.keys(taxRates || {}).forEach(category => {
+    const rate = normalizeTaxRate(taxRates[category]);
+    if (rate !== null) {
+      normalized[category] = rate;
+    }
+  });
+  
+  return normalized;
+}
+
+/**
+ * Check a tip policy, filling in defaults for missing fields
+ * @param {Object} policy - {type, percent, base, split, excluded}
+ * @returns {Object} Complete policy
+ * @throws {Error} When a field has an unknown value
+ */
+function normalizeTipPolicy(policy) {
+  const normalized = { ...clone(DEFAULT_TIP_POLICY), ...clone(policy || {}) };
+  const percent = parseFloat(normalized.percent);
+  
+  if (!TIP_TYPES.includes(normalized.type)) {
+    throw new Error(`Invalid tip type: ${normalized.type}`);
+  }
+  if (!TIP_BASES.includes(normalized.base)) {
+    throw new Error(`Invalid tip base: ${normalized.base}`);
+  }
+  if (!TIP_SPLITS.includes(normalized.split)) {
+    throw new Error(`Invalid tip split: ${normalized.split}`);
+  }
+  if (!isFinite(percent) || percent < 0 || percent > 100) {
+    throw new Error(`Invalid tip percentage: ${normalized.percent}`);
+  }
+  if (!Array.isArray(normalized.excluded)) {
+    throw new Error('Tip exclusions must be a list of participant IDs');
+  }
+  
+  normalized.percent = percent;
+  normalized.excluded = [...new Set(normalized.excluded)];
+  
+  return normalized;
+}
+
+/**
+ * Check a discount line
+ * Parser output may point at an item by its position (itemIndex) in the
+ * receipt's items instead of by ID.
+ * @param {Object} discount - {name, type, value, appliesTo, itemId|itemIndex, category}
+ * @param {Array} items - Receipt items, for resolving itemIndex
+ * @returns {Object} Normalized discount
+ * @throws {Error} When the type, target or value is invalid
+ */
+function normalizeDiscount(discount, items = []) {
+  const type = discount.type || 'fixed';
+  const appliesTo = discount.appliesTo || 'bill';
+  const value = Math.abs(parseFloat(discount.value));
+  
+  if (!DISCOUNT_TYPES.includes(type)) {
+    throw new Error(`Invalid discount type: ${type}`);
+  }
+  if (!DISCOUNT_TARGETS.includes(appliesTo)) {
+    throw new Error(`Invalid discount target: ${appliesTo}`);
+  }
+  if (!isFinite(value) || (type === 'percentage' && value > 100)) {
+    throw new Error(`Invalid discount value: ${discount.value}`);
+  }
+  
+  const normalized = {
+    id: discount.id || generateId(),
+    name: discount.name || 'Discount',
+    type,
+    value: type === 'fixed' ? fromCents(toCents(value)) : value,
+    appliesTo
+  };
+  
+  if (appliesTo === 'item') {
+    const item = discount.itemId ? { id: discount.itemId } : items[discount.itemIndex];
+    if (!item) {
+      throw new Error('Item discount needs an itemId');
+    }
+    normalized.itemId = item.id;
+  }
+  
+  if (appliesTo === 'category') {
+    if (!discount.category) {
+      throw new Error('Category discount needs a category');
+    }
+    normalized.category = discount.category;
+  }
+  
+  return normalized;
+}
+
+/**
+ * Check a fee line
+ * Like discounts, parser output may point at an item by itemIndex.
+ * @param {Object} fee - {name, amount, kind, allocation, participantIds, itemId|itemIndex}
+ * @param {Array} items - Receipt items, for resolving itemIndex
+ * @returns {Object} Normalized fee
+ * @throws {Error} When the amount or allocation is invalid
+ */
+function normalizeFee(fee, items = []) {
+  const allocation = fee.allocation || 'proportional';
+  const amount = parseFloat(fee.amount);
+  
+  if (!FEE_ALLOCATIONS.includes(allocation)) {
+    throw new Error(`Invalid fee allocation: ${allocation}`);
+  }
+  if (!isFinite(amount) || amount < 0) {
+    throw new Error(`Invalid fee amount: ${fee.amount}`);
+  }
+  
+  const normalized = {
+    id: fee.id || generateId(),
+    name: fee.name || 'Fee',
+    kind: fee.kind || 'other',
+    amount: fromCents(toCents(amount)),
+    allocation
+  };
+  
+  if (allocation === 'assigned') {
+    if (!Array.isArray(fee.participantIds) || fee.participantIds.length === 0) {
+      throw new Error('Assigned fee needs participantIds');
+    }
+    normalized.participantIds = [...new Set(fee.participantIds)];
+  }
+  
+  if (allocation === 'claimers') {
+    const item = fee.itemId ? { id: fee.itemId } : items[fee.itemIndex];
+    if (!item) {
+      throw new Error('Fee for claimers needs an itemId');
+    }
+    normalized.itemId = item.id;
+  }
+  
+  return normalized;
+}
+
+/**
+ * Work out what the item and category discounts take off each item
+ * A fixed discount on a category is spread over its items by price.
+ * @param {Object} receipt - Receipt with discounts
+ * @returns {Object} {itemId: cents}, never more than the item's line total
+ */
+function itemDiscountCents(receipt) {
+  const lineCents = receipt.items.map(i => toCents(i.price) * (i.quantity || 1));
+  const taken = receipt.items.map(() => 0);
+  
+  (receipt.discounts || []).forEach(discount => {
+    if (discount.appliesTo === 'bill') return;
+    
+    const base = receipt.items.map((item, index) => {
+      const targeted = discount.appliesTo === 'item'
+        ? item.id === discount.itemId
+        : (item.category || 'other') === discount.category;
+      return targeted ? lineCents[index] : 0;
+    });
+    const baseTotal = base.reduce((sum, c) => sum + c, 0);
+    const amount = discount.type === 'percentage'
+      ? Math.round(baseTotal * discount.value / 100)
+      : Math.min(toCents(discount.value), baseTotal);
+    
+    allocateCents(amount, base).forEach((c, index) => {
+      taken[index] += c;
+    });
+  });
+  
+  const result = {};
+  receipt.items.forEach((item, index) => {
+    result[item.id] = Math.min(taken[index], lineCents[index]);
+  });
+  
+  return result;
+}
+
+/**
+ * Tax rate that applies to an item: its own rate, else its category's
+ * @param {Object} receipt - Receipt with optional taxRates
+ * @param {Object} item - Receipt item
+ * @returns {number|null} Percentage, or null when the receipt doesn't say
+ */
+function resolveTaxRate(receipt, item) {
+  if (typeof item.taxRate === 'number') {
+    return item.taxRate;
+  }
+  
+  const rates = receipt.taxRates || {};
+  const rate = rates[item.category || 'other'];
+  
+  return typeof rate === 'number' ? rate : null;
+}
+
+/**
+ * Who pays for the unclaimed part of an item under the host's resolution
+ * @param {Object} session - Session object
+ * @param {string} itemId - Item ID
+ * @returns {Object|null} {method, participantIds}; null when unresolved or the
+ *   chosen person has left. Waived items have no participants.
+ */
+function orphanRecipients(session, itemId) {
+  const resolution = (session.orphanResolutions || {})[itemId];
+  if (!resolution) return null;
+  
+  const present = (id) => session.participants.some(p => p.id === id);
+  
+  switch (resolution.method) {
+    case 'even':
+      return session.participants.length > 0
+        ? { method: 'even', participantIds: session.participants.map(p => p.id) }
+        : null;
+    case 'assign':
+      return present(resolution.participantId)
+        ? { method: 'assign', participantIds: [resolution.participantId] }
+        : null;
+    case 'host':
+      return present(session.hostId) ? { method: 'host', participantIds: [session.hostId] } : null;
+    case 'waive':
+      return { method: 'waive', participantIds: [] };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Calculate per-person totals
+ * All math is done in integer cents; leftover cents from uneven splits are
+ * handed out by the largest-remainder method, so per-person totals always add
+ * up to the claimed items plus tax and tip.
+ * Each receipt is worked out on its own, so its tax, tip and fees are shared
+ * by the people who claimed from it, and the results are added up per person.
+ * Receipts in another currency are converted into the session's currency
+ * first; one without an exchange rate is left out and listed in
+ * summary.missingRates.
+ * @param {Object} session - Session object
+ * @returns {Object} Breakdown of costs per person in the session's currency;
+ *   receipts holds the same breakdown for each receipt by ID in the
+ *   receipt's own currency, with converted holding its totals converted
+ */
+function calculateTotals(session) {
+  // Work on an upgraded, repaired copy rather than failing on a stray bad field
+  session = validateSession(migrateSession(session, session.id)).session;
+  
+  const columns = ['subtotals', 'discountShares', 'taxShares', 'tipShares', 'feeShares', 'totals'];
+  const result = {
+    items: {},
+    fees: {},
+    unclaimed: [],
+    unclaimedRemainders: [],
+    resolvedOrphans: [],
+    reconciliation: {},
+    errors: [],
+    details: {},
+    receipts: {},
+    cents: {}
+  };
+  const summaryCents = {
+    foodSubtotal: 0,
+    discounts: 0,
+    tax: 0,
+    tip: 0,
+    fees: 0,
+    unclaimedAmount: 0,
+    waivedAmount: 0
+  };
+  
+  columns.forEach(column => {
+    result[column] = {};
+    result.cents[column] = {};
+    session.participants.forEach(p => {
+      result.cents[column][p.id] = 0;
+    });
+  });
+  session.participants.forEach(p => {
+    result.details[p.id] = { name: p.name, emoji: p.emoji, items: [] };
+  });
+  
+  // Receipts are worked out in their own currency, then converted
+  const currency = sessionCurrency(session);
+  const missingRates = [];
+  
+  session.receipts.forEach(receipt => {
+    const part = calculateReceiptTotals(session, receipt);
+    const receiptCurrency = receipt.currency || currency;
+    const rate = exchangeRate(session, receiptCurrency, currency);
+    
+    result.receipts[receipt.id] = {
+      receiptId: receipt.id,
+      merchant: receipt.merchant,
+      date: receipt.date,
+      payer: receipt.payer,
+      currency: receiptCurrency,
+      rate,
+      ...part,
+      converted: null
+    };
+    Object.assign(result.items, part.items);
+    Object.assign(result.fees, part.fees);
+    Object.assign(result.reconciliation, part.reconciliation);
+    ['unclaimed', 'unclaimedRemainders', 'resolvedOrphans', 'errors'].forEach(key => {
+      result[key].push(...part[key]);
+    });
+    
+    session.participants.forEach(p => {
+      result.details[p.id].items.push(...part.details[p.id].items.map(
+        item => ({ ...item, receiptId: receipt.id, currency: receiptCurrency })
+      ));
+    });
+    
+    // Without a rate the receipt can't be added to anyone's total
+    if (rate === null) {
+      const pair = `${receiptCurrency}/${currency}`;
+      if (!missingRates.includes(pair)) missingRates.push(pair);
+      result.errors.push(`No exchange rate from ${receiptCurrency} to ${currency} for ${receipt.merchant || receipt.id}`);
+      return;
+    }
+    
+    // Same currency needs no converting, unless it's priced in whole units
+    const asIs = receiptCurrency === currency && currencyUnitCents(currency) === 1;
+    const converted = { cents: {} };
+    columns.filter(column => column !== 'totals').forEach(column => {
+      converted.cents[column] = asIs ? { ...part.cents[column] } : convertCents(part.cents[column], rate, currency);
+    });
+    converted.cents.totals = {};
+    session.participants.forEach(p => {
+      const c = converted.cents;
+      c.totals[p.id] = c.subtotals[p.id] - c.discountShares[p.id] + c.taxShares[p.id] + c.tipShares[p.id] + c.feeShares[p.id];
+      columns.forEach(column => {
+        result.cents[column][p.id] += c[column][p.id];
+      });
+    });
+    converted.cents.grandTotal = session.participants.reduce((sum, p) => sum + converted.cents.totals[p.id], 0);
+    converted.totals = {};
+    session.participants.forEach(p => {
+      converted.totals[p.id] = fromCents(converted.cents.totals[p.id]);
+    });
+    converted.grandTotal = fromCents(converted.cents.grandTotal);
+    result.receipts[receipt.id].converted = converted;
+    
+    Object.keys(summaryCents).forEach(key => {
+      summaryCents[key] += Math.round(toCents(part.summary[key]) * rate);
+    });
+  });
+  
+  columns.forEach(column => {
+    session.participants.forEach(p => {
+      result[column][p.id] = fromCents(result.cents[column][p.id]);
+    });
+  });
+  
+  result.cents.grandTotal = session.participants.reduce((sum, p) => sum + result.cents.totals[p.id], 0);
+  result.grandTotal = fromCents(result.cents.grandTotal);
+  result.currency = currency;
+  
+  result.summary = {
+    currency,
+    missingRates,
+    foodSubtotal: fromCents(summaryCents.foodSubtotal),
+    discounts: fromCents(summaryCents.discounts),
+    tax: fromCents(summaryCents.tax),
+    tip: fromCents(summaryCents.tip),
+    tipPolicy: { ...DEFAULT_TIP_POLICY, ...session.tipPolicy },
+    fees: fromCents(summaryCents.fees),
+    grandTotal: result.grandTotal,
+    participantCount: session.participants.length,
+    unclaimedCount: result.unclaimed.length,
+    unclaimedAmount: fromCents(summaryCents.unclaimedAmount),
+    claimPolicy: CLAIM_POLICIES.includes(session.claimPolicy) ? session.claimPolicy : 'unclaimed',
+    waivedAmount: fromCents(summaryCents.waivedAmount),
+    receiptCount: session.receipts.length
+  };
+  
+  return result;
+}
+
+/**
+ * Calculate per-person totals for one receipt
+ * @param {Object} session - Validated session
+ * @param {Object} receipt - One of the session's receipts
+ * @returns {Object} Breakdown of costs per person, as calculateTotals
+ */
+function calculateReceiptTotals(session, receipt) {
+  const result = {
+    items: {},           // Per-item breakdown
+    subtotals: {},       // Per-person food subtotals
+    discountShares: {},  // Per-person discount credits
+    taxShares: {},       // Per-person tax shares
+    tipShares: {},       // Per-person tip shares
+    feeShares: {},       // Per-person fees, all fees together
+    fees: {},            // Per-fee breakdown (one column per fee)
+    totals: {},          // Per-person grand totals
+    unclaimed: [],       // Items not claimed
+    unclaimedRemainders: [], // Parts of claimed items left unclaimed
+    resolvedOrphans: [], // Unclaimed amounts the host has resolved
+    reconciliation: {},  // Per-item check of claims against the price
+    errors: [],          // Claims that can't be honoured as made
+    details: {},         // Detailed breakdown per person
+    cents: {             // Same figures in integer cents
+      subtotals: {},
+      discountShares: {},
+      taxShares: {},
+      tipShares: {},
+      feeShares: {},
+      totals: {}
+    }
+  };
+  
+  const cents = result.cents;
+  
+  // Initialize all participants
+  session.participants.forEach(p => {
+    cents.subtotals[p.id] = 0;
+    cents.discountShares[p.id] = 0;
+    cents.taxShares[p.id] = 0;
+    cents.tipShares[p.id] = 0;
+    cents.feeShares[p.id] = 0;
+    cents.totals[p.id] = 0;
+    result.details[p.id] = {
+      name: p.name,
+      emoji: p.emoji,
+      items: []
+    };
+  });
+  
+  let foodSubtotalCents = 0;
+  let remainderCents = 0;
+  const claimPolicy = CLAIM_POLICIES.includes(session.claimPolicy) ? session.claimPolicy : 'unclaimed';
+  const itemDiscounts = itemDiscountCents(receipt);
+  
+  // Tax each person owes on items with a known rate, and their spend on
+  // items without one (taxed at the default or the leftover rate below)
+  const ratedTax = {};
+  const unratedBase = {};
+  session.participants.forEach(p => {
+    ratedTax[p.id] = 0;
+    unratedBase[p.id] = 0;
+  });
+  
+  // Calculate per-item costs
+  receipt.items.forEach(item => {
+    const itemSelections = session.selections.filter(
+      s => s.itemId === item.id && cents.subtotals[s.participantId] !== undefined
+    );
+    
+    const orphans = orphanRecipients(session, item.id);
+    
+    if (itemSelections.length === 0 && !orphans) {
+      result.unclaimed.push(item);
+      return;
+    }
+    
+    const itemTotalCents = toCents(item.price) * (item.quantity || 1);
+    
+    const taxRate = resolveTaxRate(receipt, item);
+    
+    const itemBreakdown = {
+      itemId: item.id,
+      name: item.name,
+      total: fromCents(itemTotalCents),
+      taxRate,
+      shares: {}
+    };
+    
+    // Mixed split types resolve in order: fixed amounts come off the top,
+    // percentages take their cut of the full price, and whatever is left is
+    // shared by weight among 'even' (1 each), 'shares' and 'units' claims
+    const sumOf = (type) => itemSelections
+      .filter(s => s.splitType === type)
+      .reduce((sum, s) => sum + (s.value || 0), 0);
+    
+    let fixedScale = 1;
+    const fixedCents = toCents(sumOf('fixed'));
+    if (fixedCents > itemTotalCents) {
+      // Only reachable through merged offline claims; scale them down
+      fixedScale = itemTotalCents / fixedCents;
+      result.errors.push({
+        itemId: item.id,
+        type: 'fixed-exceeds-price',
+        message: `Fixed amounts on ${item.name} (${fromCents(fixedCents).toFixed(2)}) ` +
+          `exceed its price (${fromCents(itemTotalCents).toFixed(2)})`
+      });
+    }
+    
+    const percentCents = (itemTotalCents * sumOf('percentage')) / 100;
+    const poolCents = Math.max(itemTotalCents - fixedCents * fixedScale - percentCents, 0);
+    const poolWeight = (selection) => {
+      switch (selection.splitType) {
+        case 'even':
+          return 1;
+        case 'shares':
+        case 'units':
+          return selection.value || 0;
+        default:
+          return 0;
+      }
+    };
+    const totalPoolWeight = itemSelections.reduce((sum, s) => sum + poolWeight(s), 0);
+    
+    // Exact (fractional) share in cents based on split type
+    const exactShares = itemSelections.map(selection => {
+      switch (selection.splitType) {
+        case 'solo':
+          return itemTotalCents;
+          
+        case 'fixed':
+          return toCents(selection.value || 0) * fixedScale;
+          
+        case 'percentage':
+          return (itemTotalCents * (selection.value || 0)) / 100;
+          
+        case 'even':
+        case 'shares':
+        case 'units':
+          return totalPoolWeight > 0 ? (poolWeight(selection) / totalPoolWeight) * poolCents : 0;
+          
+        default:
+          return 0;
+      }
+    });
+    
+    // Reconcile the claims with the price. Over-claims are always scaled
+    // back to the price; under-claims are scaled up under the 'normalize'
+    // policy and otherwise leave the rest in the unclaimed pool.
+    const types = new Set(itemSelections.map(s => s.splitType));
+    const issues = [];
+    if (types.has('solo') && itemSelections.length > 1) {
+      issues.push('solo claim alongside other claims');
+    }
+    if (totalPoolWeight > 0 && poolCents === 0) {
+      issues.push('nothing left for even or shares claims');
+    }
+    if (types.has('units') && (types.has('even') || types.has('shares'))) {
+      issues.push('units mixed with even or shares claims');
+    }
+    
+    const exactTotal = exactShares.reduce((sum, share) => sum + share, 0);
+    const requestedCents = Math.round(exactTotal);
+    const status = requestedCents > itemTotalCents ? 'over'
+      : requestedCents < itemTotalCents ? 'under'
+      : (issues.length > 0 ? 'conflict' : 'ok');
+    const rescale = exactTotal > 0 &&
+      (requestedCents > itemTotalCents || (claimPolicy === 'normalize' && requestedCents < itemTotalCents));
+    
+    // Round the claimed amount once, then hand out whole cents
+    const claimedCents = rescale ? itemTotalCents : requestedCents;
+    const shareCents = allocateCents(claimedCents, exactShares);
+    const leftCents = itemTotalCents - claimedCents;
+    let billedCents = claimedCents;
+    
+    if (itemSelections.length > 0) result.reconciliation[item.id] = {
+      itemId: item.id,
+      name: item.name,
+      status,
+      claimed: fromCents(requestedCents),
+      total: fromCents(itemTotalCents),
+      difference: fromCents(requestedCents - itemTotalCents),
+      issues,
+      resolution: status === 'ok' ? null : (rescale ? 'scaled' : (leftCents > 0 ? 'unclaimed' : null))
+    };
+    
+    if (leftCents > 0 && orphans) {
+      // The host's resolution covers whatever nobody claimed; the recipients
+      // are treated like extra claimants so discounts and tax follow them
+      const orphanCents = allocateCents(leftCents, orphans.participantIds.map(() => 1));
+      orphans.participantIds.forEach((participantId, index) => {
+        itemSelections.push({ participantId, itemId: item.id, splitType: 'unclaimed', value: orphans.method });
+        shareCents.push(orphanCents[index]);
+      });
+      if (orphans.method !== 'waive') {
+        billedCents += leftCents;
+      }
+      result.resolvedOrphans.push({
+        itemId: item.id,
+        name: item.name,
+        amount: fromCents(leftCents),
+        method: orphans.method,
+        participantIds: orphans.participantIds
+      });
+    } else if (leftCents > 0) {
+      remainderCents += leftCents;
+      result.unclaimedRemainders.push({ itemId: item.id, name: item.name, amount: fromCents(leftCents) });
+    }
+    
+    foodSubtotalCents += billedCents;
+    
+    // Item and category discounts go to whoever claimed the item
+    const discountCents = Math.min(itemDiscounts[item.id] || 0, billedCents);
+    const credits = allocateCents(discountCents, shareCents);
+    itemBreakdown.discount = fromCents(discountCents);
+    
+    itemSelections.forEach((selection, index) => {
+      const share = shareCents[index];
+      const credit = credits[index];
+      
+      itemBreakdown.shares[selection.participantId] = fromCents(share);
+      cents.subtotals[selection.participantId] += share;
+      cents.discountShares[selection.participantId] += credit;
+      
+      if (taxRate === null) {
+        unratedBase[selection.participantId] += share - credit;
+      } else {
+        ratedTax[selection.participantId] += (share - credit) * taxRate / 100;
+      }
+      
+      result.details[selection.participantId].items.push({
+        itemId: item.id,
+        name: item.name,
+        price: item.price,
+        taxRate,
+        splitType: selection.splitType,
+        splitValue: selection.value,
+        share: fromCents(share),
+        discount: fromCents(credit)
+      });
+    });
+    
+    result.items[item.id] = itemBreakdown;
+  });
+  
+  let taxCents = toCents(receipt.tax || 0);
+  const participantIds = session.participants.map(p => p.id);
+  const weights = participantIds.map(id => cents.subtotals[id]);
+  
+  // Bill-wide discounts come off what each person still owes for food, and
+  // shrink their taxable amount by the same fraction
+  const netCents = participantIds.map(id => cents.subtotals[id] - cents.discountShares[id]);
+  const netTotal = netCents.reduce((sum, c) => sum + c, 0);
+  const billCredits = participantIds.map(() => 0);
+  
+  (receipt.discounts || []).filter(d => d.appliesTo === 'bill').forEach(discount => {
+    const remaining = netTotal - billCredits.reduce((sum, c) => sum + c, 0);
+    const amount = discount.type === 'percentage'
+      ? Math.round(netTotal * discount.value / 100)
+      : toCents(discount.value);
+    
+    allocateCents(Math.min(amount, remaining), netCents).forEach((c, index) => {
+      billCredits[index] += c;
+    });
+  });
+  
+  participantIds.forEach((id, index) => {
+    const kept = netCents[index] > 0 ? (netCents[index] - billCredits[index]) / netCents[index] : 0;
+    ratedTax[id] *= kept;
+    unratedBase[id] *= kept;
+    cents.discountShares[id] += billCredits[index];
+  });
+  
+  const discountCents = participantIds.reduce((sum, id) => sum + cents.discountShares[id], 0);
+  
+  // Tax follows the rates of the items each person claimed. Items without a
+  // rate use taxRates.default, or failing that share whatever part of the
+  // printed tax the rated items don't explain. With no rates at all this is
+  // the plain split by food subtotal.
+  const taxRates = receipt.taxRates || {};
+  const ratedTotal = participantIds.reduce((sum, id) => sum + ratedTax[id], 0);
+  const unratedTotal = participantIds.reduce((sum, id) => sum + unratedBase[id], 0);
+  const unratedRate = typeof taxRates.default === 'number'
+    ? taxRates.default / 100
+    : (unratedTotal > 0 ? Math.max(taxCents - ratedTotal, 0) / unratedTotal : 0);
+  
+  let taxWeights = participantIds.map(id => ratedTax[id] + unratedBase[id] * unratedRate);
+  const taxWeightTotal = taxWeights.reduce((sum, w) => sum + w, 0);
+  
+  if (taxCents === 0) {
+    // Nothing printed: charge what the rates add up to
+    taxCents = Math.round(taxWeightTotal);
+  } else if (taxWeightTotal === 0) {
+    // Printed tax but every claimed item is exempt; don't let it vanish
+    taxWeights = weights;
+  }
+  
+  const taxShares = foodSubtotalCents > 0
+    ? allocateCents(taxCents, taxWeights)
+    : participantIds.map(() => 0);
+  
+  // Tip follows the host's policy: the printed amount or a percentage of the
+  // claimed bill, shared by spend or per head among those not excluded.
+  // Percentages apply to the bill before discounts, as is customary.
+  const tipPolicy = { ...DEFAULT_TIP_POLICY, ...session.tipPolicy };
+  const postTax = tipPolicy.base === 'posttax';
+  const tipCents = tipPolicy.type === 'percentage'
+    ? Math.round((foodSubtotalCents + (postTax ? taxCents : 0)) * tipPolicy.percent / 100)
+    : toCents(receipt.tip || 0);
+  
+  let tipWeights = participantIds.map((id, index) => {
+    if (cents.subtotals[id] <= 0 || tipPolicy.excluded.includes(id)) {
+      return 0;
+    }
+    if (tipPolicy.split === 'even') {
+      return 1;
+    }
+    return cents.subtotals[id] + (postTax ? taxShares[index] : 0);
+  });
+  
+  // With every claimant excluded, share by subtotal rather than drop the tip
+  if (tipWeights.every(w => w === 0)) {
+    tipWeights = weights;
+  }
+  
+  // Fees each follow their own rule; anyone who claimed something shares a
+  // fee evenly when its rule leaves nobody to charge
+  const claimants = participantIds.map(id => (cents.subtotals[id] > 0 ? 1 : 0));
+  let feeCentsTotal = 0;
+  
+  (receipt.fees || []).forEach(fee => {
+    const feeCents = toCents(fee.amount);
+    const itemShares = (result.items[fee.itemId] || {}).shares || {};
+    
+    let feeWeights;
+    switch (fee.allocation) {
+      case 'proportional':
+        feeWeights = participantIds.map(id => cents.subtotals[id] - cents.discountShares[id]);
+        break;
+        
+      case 'assigned':
+        feeWeights = participantIds.map(id => (fee.participantIds.includes(id) ? 1 : 0));
+        break;
+        
+      case 'claimers':
+        feeWeights = participantIds.map(id => toCents(itemShares[id] || 0));
+        break;
+        
+      default:
+        feeWeights = claimants;
+    }
+    
+    if (!feeWeights.some(w => w > 0)) {
+      feeWeights = claimants;
+    }
+    
+    const shares = foodSubtotalCents > 0
+      ? allocateCents(feeCents, feeWeights)
+      : participantIds.map(() => 0);
+    
+    result.fees[fee.id] = {
+      feeId: fee.id,
+      name: fee.name,
+      kind: fee.kind,
+      allocation: fee.allocation,
+      total: fromCents(feeCents),
+      shares: {}
+    };
+    
+    participantIds.forEach((id, index) => {
+      cents.feeShares[id] += shares[index];
+      result.fees[fee.id].shares[id] = fromCents(shares[index]);
+    });
+    feeCentsTotal += shares.reduce((sum, c) => sum + c, 0);
+  });
+  
+  if (foodSubtotalCents > 0) {
+    const tipShares = allocateCents(tipCents, tipWeights);
+    
+    participantIds.forEach((id, index) => {
+      cents.taxShares[id] = taxShares[index];
+      cents.tipShares[id] = tipShares[index];
+      cents.totals[id] = cents.subtotals[id] - cents.discountShares[id] +
+        taxShares[index] + tipShares[index] + cents.feeShares[id];
+    });
+  }
+  
+  participantIds.forEach(id => {
+    result.subtotals[id] = fromCents(cents.subtotals[id]);
+    result.discountShares[id] = fromCents(cents.discountShares[id]);
+    result.taxShares[id] = fromCents(cents.taxShares[id]);
+    result.tipShares[id] = fromCents(cents.tipShares[id]);
+    result.feeShares[id] = fromCents(cents.feeShares[id]);
+    result.totals[id] = fromCents(cents.totals[id]);
+  });
+  
+  // Calculate grand total
+  cents.grandTotal = participantIds.reduce((sum, id) => sum + cents.totals[id], 0);
+  result.grandTotal = fromCents(cents.grandTotal);
+  
+  // Summary
+  result.summary = {
+    foodSubtotal: fromCents(foodSubtotalCents),
+    discounts: fromCents(discountCents),
+    tax: fromCents(taxCents),
+    tip: fromCents(tipCents),
+    tipPolicy,
+    fees: fromCents(feeCentsTotal),
+    grandTotal: result.grandTotal,
+    participantCount: session.participants.length,
+    unclaimedCount: result.unclaimed.length,
+    unclaimedAmount: fromCents(remainderCents + result.unclaimed.reduce(
+      (sum, item) => sum + toCents(item.price) * (item.quantity || 1), 0
+    )),
+    claimPolicy,
+    waivedAmount: fromCents(result.resolvedOrphans
+      .filter(orphan => orphan.method === 'waive')
+      .reduce((sum, orphan) => sum + toCents(orphan.amount), 0))
+  };
+  
+  return result;
+}
+
+/**
+ * List the items whose claims don't add up to their price
+ * @param {Object} session - Session object
+ * @returns {Object} {policy, balanced, items} where items are the
+ *   reconciliation entries from calculateTotals that aren't 'ok'
+ */
+function reconcileClaims(session) {
+  const totals = calculateTotals(session);
+  const items = Object.values(totals.reconciliation).filter(entry => entry.status !== 'ok');
+  
+  return {
+    policy: totals.summary.claimPolicy,
+    balanced: items.length === 0,
+    items
+  };
+}
+
+/**
+ * List what nobody has claimed and the host hasn't resolved yet: whole items,
+ * and the unclaimed part of items whose claims fall short
+ * @param {Object} session - Session object
+ * @returns {Array} [{itemId, name, amount}]
+ */
+function getUnclaimedItems(session) {
+  const totals = calculateTotals(session);
+  
+  return totals.unclaimed
+    .map(item => ({ itemId: item.id, name: item.name, amount: fromCents(toCents(item.price) * (item.quantity || 1)) }))
+    .concat(totals.unclaimedRemainders.map(remainder => ({ ...remainder })));
+}
+
+// ============================================
+// SETTLEMENT
+// ============================================
+
+/**
+ * Work out what everyone paid and what they owe, in the session's currency
+ * What a receipt comes to (the sum of everyone's shares) is credited to its
+ * payments in proportion to their amounts, so a receipt's credits always
+ * match its shares even when the printed total differs by a waived item or
+ * a rounding cent. Receipts without payments are credited to their payer, or
+ * the host when the payer isn't set or has left.
+ * @param {Object} session - Session object
+ * @returns {Object} {participantId: {paid, owed, balance}}; a positive
+ *   balance is owed to that person, a negative one they still owe
+ */
+function calculateBalances(session) {
+  const totals = calculateTotals(session);
+  const present = (id) => session.participants.some(p => p.id === id);
+  const paidCents = {};
+  session.participants.forEach(p => {
+    paidCents[p.id] = 0;
+  });
+  
+  session.receipts.forEach(receipt => {
+    const payments = (receipt.payments || []).filter(payment => present(payment.participantId));
+    const payer = present(receipt.payer) ? receipt.payer : session.hostId;
+    const payers = payments.length > 0
+      ? payments
+      : (present(payer) ? [{ participantId: payer, amount: 1 }] : []);
+    
+    if (payers.length === 0) return;
+    
+    const converted = totals.receipts[receipt.id].converted;
+    if (!converted) return;
+    
+    const credits = allocateCents(
+      converted.cents.grandTotal,
+      payers.map(payment => toCents(payment.amount))
+    );
+    payers.forEach((payment, index) => {
+      paidCents[payment.participantId] += credits[index];
+    });
+  });
+  
+  const balances = {};
+  session.participants.forEach(p => {
+    const owedCents = totals.cents.totals[p.id] || 0;
+    balances[p.id] = {
+      paid: fromCents(paidCents[p.id]),
+      owed: fromCents(owedCents),
+      balance: fromCents(paidCents[p.id] - owedCents)
+    };
+  });
+  
+  return balances;
+}
+
+/**
+ * Pay off balances within a group whose balances sum to zero, largest debtor
+ * to largest creditor; a group of n people needs at most n - 1 transfers
+ * @param {Array} group - [{id, cents}], modified
+ * @returns {Array} [{from, to, cents}]
+ */
+function settleGroup(group) {
+  const transfers = [];
+  const byAmount = (a, b) => Math.abs(b.cents) - Math.abs(a.cents) || (a.id < b.id ? -1 : 1);
+  
+  for (;;) {
+    const debtors = group.filter(entry => entry.cents < 0).sort(byAmount);
+    const creditors = group.filter(entry => entry.cents > 0).sort(byAmount);
+    if (debtors.length === 0 || creditors.length === 0) break;
+    
+    const amount = Math.min(-debtors[0].cents, creditors[0].cents);
+    transfers.push({ from: debtors[0].id, to: creditors[0].id, cents: amount });
+    debtors[0].cents += amount;
+    creditors[0].cents -= amount;
+  }
+  
+  return transfers;
+}
+
+/**
+ * Split balances into as many zero-sum groups as possible
+ * Every group settles on its own with one transfer fewer than its size, so
+ * the most groups means the fewest transfers. Exhaustive over subsets, so
+ * only used for small numbers of people.
+ * @param {Array} entries - [{id, cents}] with non-zero cents summing to zero
+ * @returns {Array} Groups of entries
+ */
+function zeroSumGroups(entries) {
+  const n = entries.length;
+  const full = (1 << n) - 1;
+  const sums = new Array(full + 1).fill(0);
+  const best = new Array(full + 1).fill(0);
+  
+  for (let mask = 1; mask <= full; mask++) {
+    const low = mask & -mask;
+    sums[mask] = sums[mask ^ low] + entries[Math.log2(low)].cents;
+    
+    // Best grouping of this subset when one of its members is added last
+    for (let i = 0; i < n; i++) {
+      if (mask & (1 << i)) {
+        best[mask] = Math.max(best[mask], best[mask ^ (1 << i)]);
+      }
+    }
+    if (sums[mask] === 0) {
+      best[mask]++;
+    }
+  }
+  
+  // Walk back through the order members were added; a group closes each
+  // time the running sum returns to zero
+  const order = [];
+  let mask = full;
+  while (mask) {
+    const bonus = sums[mask] === 0 ? 1 : 0;
+    for (let i = 0; i < n; i++) {
+      if ((mask & (1 << i)) && best[mask ^ (1 << i)] + bonus === best[mask]) {
+        order.unshift(i);
+        mask ^= 1 << i;
+        break;
+      }
+    }
+  }
+  
+  const groups = [];
+  let group = [];
+  let running = 0;
+  order.forEach(index => {
+    group.push(entries[index]);
+    running += entries[index].cents;
+    if (running === 0) {
+      groups.push(group);
+      group = [];
+    }
+  });
+  
+  return groups;
+}
+
+/**
+ * Turn balances into the fewest person-to-person transfers that settle them
+ * @param {Object} session - Session object
+ * @returns {Object} {balances, transfers: [{from, to, amount}]}
+ */
+function calculateSettlement(session) {
+  const balances = calculateBalances(session);
+  const entries = Object.keys(balances)
+    .sort()
+    .map(id => ({ id, cents: toCents(balances[id].balance) }))
+    .filter(entry => entry.cents !== 0);
+  
+  const groups = entries.length <= EXACT_SETTLEMENT_LIMIT ? zeroSumGroups(entries) : [entries];
+  const transfers = groups
+    .reduce((all, group) => all.concat(settleGroup(group.map(entry => ({ ...entry })))), [])
+    .map(transfer => ({ from: transfer.from, to: transfer.to, amount: fromCents(transfer.cents) }));
+  
+  return { balances, transfers };
+}
+
+/**
+ * Where each settle-up transfer stands
+ * Records are kept per pair of people along with the amount that was paid,
+ * so a transfer whose amount has changed since (someone claimed another
+ * item after paying) counts as owed again.
+ * @param {Object} session - Session object
+ * @returns {Object} {transfers, participants, settled}
+ *   transfers: [{from, to, amount, status, markedAt, confirmedAt, remindedAt}]
+ *   participants: {participantId: {status, outstanding, awaiting}}, where
+ *     status is that of their least-settled payment ('confirmed' when they
+ *     have nothing to pay), outstanding what they still have to pay and
+ *     awaiting what they haven't confirmed receiving
+ *   settled: true when every transfer has been confirmed
+ */
+function getSettlementStatus(session) {
+  const { transfers } = calculateSettlement(session);
+  const records = session.settlements || {};
+  const rank = (status) => SETTLEMENT_STATUSES.indexOf(status);
+  
+  const tracked = transfers.map(transfer => {
+    const record = records[settlementKey(transfer.from, transfer.to)] || {};
+    const current = toCents(record.amount || 0) === toCents(transfer.amount);
+    let status = 'owed';
+    if (current && record.confirmedAt) {
+      status = 'confirmed';
+    } else if (current && record.markedAt) {
+      status = 'marked';
+    }
+    
+    return {
+      ...transfer,
+      status,
+      markedAt: current ? record.markedAt || null : null,
+      confirmedAt: current ? record.confirmedAt || null : null,
+      remindedAt: record.remindedAt || null
+    };
+  });
+  
+  const participants = {};
+  const outstandingCents = {};
+  const awaitingCents = {};
+  session.participants.forEach(p => {
+    participants[p.id] = { status: 'confirmed', outstanding: 0, awaiting: 0 };
+    outstandingCents[p.id] = 0;
+    awaitingCents[p.id] = 0;
+  });
+  
+  tracked.forEach(transfer => {
+    const payer = participants[transfer.from];
+    if (rank(transfer.status) < rank(payer.status)) {
+      payer.status = transfer.status;
+    }
+    if (transfer.status !== 'confirmed') {
+      outstandingCents[transfer.from] += toCents(transfer.amount);
+      awaitingCents[transfer.to] += toCents(transfer.amount);
+    }
+  });
+  
+  Object.keys(participants).forEach(id => {
+    participants[id].outstanding = fromCents(outstandingCents[id]);
+    participants[id].awaiting = fromCents(awaitingCents[id]);
+  });
+  
+  return {
+    transfers: tracked,
+    participants,
+    settled: tracked.every(transfer => transfer.status === 'confirmed')
+  };
+}
+
+/**
+ * Transfers that haven't been confirmed yet, oldest reminder first
+ * @param {Object} session - Session object
+ * @param {string} participantId - Only transfers this person pays or receives (optional)
+ * @returns {Array} [{from, to, amount, status, markedAt, remindedAt, owedSince}]
+ *   owedSince is when the split was finalized
+ */
+function getOutstandingBalances(session, participantId = null) {
+  const finalized = (session.events || [])
+    .filter(event => event.type === 'status.changed' && event.payload.status === 'reviewing')
+    .pop();
+  
+  return getSettlementStatus(session).transfers
+    .filter(transfer => transfer.status !== 'confirmed')
+    .filter(transfer => !participantId || transfer.from === participantId || transfer.to === participantId)
+    .map(transfer => ({ ...transfer, owedSince: finalized ? finalized.timestamp : null }))
+    .sort((a, b) => (a.remindedAt || 0) - (b.remindedAt || 0));
+}
+
+/**
+ * Find the transfer between two people that can still change status
+ * @throws {Error} When the split isn't final yet or no such transfer is due
+ */
+function requireTransfer(session, from, to) {
+  if (session.status !== 'reviewing') {
+    throw new Error('Settling up starts once the split is final');
+  }
+  
+  const transfer = getSettlementStatus(session).transfers.find(t => t.from === from && t.to === to);
+  
+  if (!transfer) {
+    throw new Error('No payment is owed between these people');
+  }
+  
+  if (transfer.status === 'confirmed') {
+    throw new Error('Payment already confirmed');
+  }
+  
+  return transfer;
+}
+
+/**
+ * Mark a settle-up payment as sent (by the person paying)
+ * @param {string} sessionId - Session code
+ * @param {string} userId - Participant who paid
+ * @param {string} toId - Participant they paid
+ * @param {Object} options - {expectedVersion}
+ * @returns {Object} Updated session
+ */
+function markTransferPaid(sessionId, userId, toId, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  const transfer = requireTransfer(session, userId, toId);
+  
+  assertVersion(session, options);
+  
+  return commitEvent(session, 'settlement.marked', userId, {
+    from: userId,
+    to: toId,
+    amount: transfer.amount
+  });
+}
+
+/**
+ * Confirm a settle-up payment arrived (by the person being paid)
+ * Works whether or not the payer marked it, e.g. for cash. Once every
+ * transfer is confirmed the session closes.
+ * @param {string} sessionId - Session code
+ * @param {string} userId - Participant who was paid
+ * @param {string} fromId - Participant who paid them
+ * @param {Object} options - {expectedVersion}
+ * @returns {Object} Updated session
+ */
+function confirmTransferReceived(sessionId, userId, fromId, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  const transfer = requireTransfer(session, fromId, userId);
+  
+  assertVersion(session, options);
+  
+  const updated = commitEvent(session, 'settlement.confirmed', userId, {
+    from: fromId,
+    to: userId,
+    amount: transfer.amount
+  });
+  
+  if (getSettlementStatus(updated).settled) {
+    return commitEvent(updated, 'status.changed', userId, { status: 'closed' });
+  }
+  
+  return updated;
+}
+
+/**
+ * Remind people of what they still owe
+ * The host reminds everyone; anyone else reminds the people who owe them.
+ * @param {string} sessionId - Session code
+ * @param {string} userId - Participant sending the reminder
+ * @param {Object} options - {expectedVersion}
+ * @returns {Object} Updated session
+ */
+function sendReminders(sessionId, userId, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  if (session.status !== 'reviewing') {
+    throw new Error('Settling up starts once the split is final');
+  }
+  
+  const transfers = getOutstandingBalances(session)
+    .filter(transfer => session.hostId === userId || transfer.to === userId)
+    .map(transfer => ({ from: transfer.from, to: transfer.to }));
+  
+  if (transfers.length === 0) {
+    throw new Error('No outstanding payments to remind anyone of');
+  }
+  
+  assertVersion(session, options);
+  
+  return commitEvent(session, 'settlement.reminded', userId, { transfers });
+}
+
+// ============================================
+// SYNC & POLLING SYSTEM
+// ============================================
+
+/**
+ * Sync session state with storage
+ * @param {string} code - Session code
+ * @param {Function} onUpdate - Callback when session is updated
+ * @returns {Object} Current session state
+ */
+function syncSession(code, onUpdate = null) {
+  const session = getSession(code);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  if (session.expiresAt < now()) {
+    throw new Error('Session has expired');
+  }
+  
+  // Update last seen for current user if provided
+  if (onUpdate) {
+    onUpdate(session);
+  }
+  
+  return session;
+}
+
+/**
+ * Start real-time sync for a session
+ * With a sync transport configured, updates are pushed by the relay;
+ * otherwise storage is polled every SYNC_INTERVAL. A session not stored here
+ * yet is only reported missing once the transport's first snapshot says so,
+ * or SNAPSHOT_TIMEOUT passes without one.
+ * @param {string} code - Session code
+ * @param {Function} callback - Called when session changes
+ * @returns {Function} Stop function
+ */
+function startSync(code, callback) {
+  let lastVersion = 0;
+  let lastModified = 0;
+  let stopped = false;
+  let awaitingSnapshot = false;
+  let snapshotTimer = null;
+  const cleanups = [];
+  
+  const poll = () => {
+    if (stopped) return;
+    
+    try {
+      const session = getSession(code);
+      
+      if (!session) {
+        if (!awaitingSnapshot) callback(null, 'Session not found');
+        return;
+      }
+      
+      // Only trigger callback if data changed
+      if ((session.version || 0) > lastVersion || session.lastModified > lastModified) {
+        lastVersion = session.version || 0;
+        lastModified = session.lastModified;
+        callback(session, null);
+      }
+    } catch (e) {
+      callback(null, e.message);
+    }
+  };
+  
+  // Only one sync per session
+  stopSync(code);
+  
+  if (syncTransport) {
+    const transport = syncTransport;
+    
+    const snapshotArrived = () => {
+      awaitingSnapshot = false;
+      clearTimeout(snapshotTimer);
+    };
+    
+    cleanups.push(transport.subscribe(code, (message) => {
+      if (message.type === 'delta') {
+        // Missed an earlier version: fall back to a full snapshot
+        if (!applyRemoteDelta(message.delta)) {
+          transport.requestSnapshot(code);
+          return;
+        }
+      } else if (['snapshot', 'update', 'conflict'].includes(message.type)) {
+        snapshotArrived();
+        
+        // Merge instead of overwriting, so offline edits and lost races keep their changes
+        const remote = message.session;
+        const merged = remote ? receiveRemoteSession(remote) : getSession(code);
+        
+        // Relay is missing or behind our copy: send it the merge
+        if (merged && (!remote || (merged.version || 0) > (remote.version || 0))) {
+          transport.publish(merged);
+        }
+      }
+      
+      poll();
+    }));
+    
+    // Relay snapshot will arrive for sessions we don't have yet
+    if (getSession(code)) {
+      poll();
+    } else {
+      awaitingSnapshot = true;
+      snapshotTimer = setTimeout(() => {
+        snapshotArrived();
+        poll();
+      }, SNAPSHOT_TIMEOUT);
+      cleanups.push(() => clearTimeout(snapshotTimer));
+    }
+  } else {
+    // Initial poll
+    poll();
+    
+    // Set up interval
+    const intervalId = setInterval(poll, SYNC_INTERVAL);
+    cleanups.push(() => clearInterval(intervalId));
+  }
+  
+  // Set up broadcast channel listener for instant cross-tab sync
+  if (broadcastChannel) {
+    const handler = (event) => {
+      if (event.data?.sessionId === code) {
+        poll();
+      }
+    };
+    broadcastChannel.addEventListener('message', handler);
+    cleanups.push(() => broadcastChannel.removeEventListener('message', handler));
+  }
+  
+  const stop = () => {
+    stopped = true;
+    cleanups.forEach(cleanup => cleanup());
+    if (activeSyncs.get(code) === stop) {
+      activeSyncs.delete(code);
+    }
+  };
+  
+  activeSyncs.set(code, stop);
+  
+  // Return stop function
+  return stop;
+}
+
+/**
+ * Stop syncing a session
+ * @param {string} code - Session code
+ */
+function stopSync(code) {
+  const stop = activeSyncs.get(code);
+  if (stop) {
+    stop();
+  }
+}
+
+// ============================================
+// RECEIPT MANAGEMENT
+// ============================================
+
+/**
+ * Look up the receipt a mutation targets
+ * @throws {Error} When the session has no receipt with that ID
+ */
+function requireReceipt(session, receiptId) {
+  const receipt = findReceipt(session, receiptId);
+  
+  if (!receipt) {
+    throw new Error('Receipt not found');
+  }
+  
+  return receipt;
+}
+
+/**
+ * Check the merchant details, currency and payer of a receipt
+ * @param {Object} session - Session the receipt belongs to
+ * @param {Object} info - {merchant, date, currency, payer}; fields left out are skipped
+ * @returns {Object} The given fields, cleaned up
+ */
+function normalizeReceiptInfo(session, info) {
+  const normalized = {};
+  
+  if (info.merchant !== undefined) {
+    normalized.merchant = info.merchant ? String(info.merchant) : null;
+  }
+  if (info.date !== undefined) {
+    normalized.date = info.date ? String(info.date) : null;
+  }
+  if (info.currency !== undefined) {
+    normalized.currency = info.currency ? normalizeCurrency(info.currency) : null;
+  }
+  if (info.payer !== undefined) {
+    if (info.payer && !session.participants.some(p => p.id === info.payer)) {
+      throw new Error('Payer not found in session');
+    }
+    normalized.payer = info.payer || null;
+  }
+  
+  return normalized;
+}
+
+/**
+ * Parse an item's sub-lines (+ add bacon 2.00, no onions), dropping unnamed ones
+ * @param {Array} modifiers - [{name, price}]
+ * @returns {Array} Normalized sub-lines
+ */
+function normalizeModifiers(modifiers) {
+  return (Array.isArray(modifiers) ? modifiers : [])
+    .filter(m => m && typeof m.name === 'string' && m.name.trim())
+    .map(m => ({ name: m.name.trim(), price: fromCents(toCents(m.price)) }));
+}
+
+/**
+ * Attach sub-lines to a stored item when it has any
+ * Their prices are already part of the item's price, so the item and its
+ * modifiers are claimed as one unit; they're kept to show what it came with.
+ */
+function withModifiers(item, modifiers) {
+  const normalized = normalizeModifiers(modifiers);
+  return normalized.length > 0 ? { ...item, modifiers: normalized } : item;
+}
+
+/**
+ * Turn receipt data into a stored receipt (without its ID)
+ * Tax rates and merchant details are only included when given; without a
+ * printed total, the total is worked out from the rest.
+ */
+function normalizeReceipt(session, receipt) {
+  // Ensure items have IDs
+  const itemsWithIds = (receipt.items || []).map(item => withModifiers({
+    id: item.id || generateId(),
+    name: item.name || 'Unknown Item',
+    price: fromCents(toCents(item.price)),
+    quantity: parseInt(item.quantity) || 1,
+    category: item.category || 'other',
+    taxRate: normalizeTaxRate(item.taxRate)
+  }, item.modifiers));
+  
+  const normalized = {
+    ...normalizeReceiptInfo(session, receipt),
+    imageUrl: receipt.imageUrl || null,
+    items: itemsWithIds,
+    tax: fromCents(toCents(receipt.tax)),
+    tip: fromCents(toCents(receipt.tip)),
+    total: fromCents(toCents(receipt.total)),
+    discounts: (receipt.discounts || []).map(d => normalizeDiscount(d, itemsWithIds)),
+    fees: (receipt.fees || []).map(f => normalizeFee(f, itemsWithIds))
+  };
+  
+  if (receipt.total === undefined || receipt.total === null) {
+    recalculateReceiptTotal(normalized);
+  }
+  if (receipt.taxRates !== undefined) {
+    normalized.taxRates = normalizeTaxRates(receipt.taxRates);
+  }
+  
+  return normalized;
+}
+
+/**
+ * Replace a receipt's contents
+ * Left out, the tax rates, merchant details and payer already on the receipt
+ * stay in effect.
+ * @param {string} sessionId - Session code
+ * @param {Object} receipt - Receipt data
+ * @param {Object} options - {expectedVersion, actor, receiptId} (defaults to the first receipt)
+ * @returns {Object} Updated session
+ */
+function setReceipt(sessionId, receipt, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  const target = requireReceipt(session, options.receiptId);
+  
+  return commitEvent(session, 'receipt.set', options.actor, {
+    receiptId: target.id,
+    receipt: normalizeReceipt(session, receipt),
+    replacedItemIds: target.items.map(i => i.id)
+  });
+}
+
+/**
+ * Add another receipt to the session, e.g. drinks after dinner
+ * @param {string} sessionId - Session code
+ * @param {Object} receipt - Receipt data, as for setReceipt
+ * @param {Object} options - {expectedVersion, actor}
+ * @returns {Object} Updated session; the new receipt is last in session.receipts
+ */
+function addReceipt(sessionId, receipt, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  const id = receipt.id || generateId();
+  if (session.receipts.some(r => r.id === id)) {
+    throw new Error('Receipt already exists');
+  }
+  
+  return commitEvent(session, 'receipt.added', options.actor, {
+    receipt: { ...normalizeReceipt(session, receipt), id }
+  });
+}
+
+/**
+ * Remove a receipt along with its claims
+ * @param {string} sessionId - Session code
+ * @param {string} receiptId - Receipt ID
+ * @param {Object} options - {expectedVersion, actor}
+ * @returns {Object} Updated session
+ */
+function removeReceipt(sessionId, receiptId, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  requireReceipt(session, receiptId);
+  
+  if (session.receipts.length === 1) {
+    throw new Error('A session needs at least one receipt');
+  }
+  
+  return commitEvent(session, 'receipt.removed', options.actor, { receiptId });
+}
+
+/**
+ * Set a receipt's merchant details and who paid it
+ * @param {string} sessionId - Session code
+ * @param {string} receiptId - Receipt ID
+ * @param {Object} info - {merchant, date, payer}; fields left out are unchanged
+ * @param {Object} options - {expectedVersion, actor}
+ * @returns {Object} Updated session
+ */
+function setReceiptInfo(sessionId, receiptId, info, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  const receipt = requireReceipt(session, receiptId);
+  
+  return commitEvent(session, 'receipt.infoSet', options.actor, {
+    receiptId: receipt.id,
+    info: normalizeReceiptInfo(session, info)
+  });
+}
+
+/**
+ * Record how a receipt was paid when several people (or cards) paid part of it
+ * An empty list goes back to the receipt's single payer.
+ * @param {string} sessionId - Session code
+ * @param {string} receiptId - Receipt ID
+ * @param {Array} payments - [{participantId, amount}]; one person can appear
+ *   more than once, e.g. for two cards
+ * @param {Object} options - {expectedVersion, actor}
+ * @returns {Object} Updated session
+ */
+function setReceiptPayments(sessionId, receiptId, payments, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  const receipt = requireReceipt(session, receiptId);
+  
+  const normalized = (payments || []).map(payment => {
+    const amount = fromCents(toCents(payment.amount));
+    
+    if (!session.participants.some(p => p.id === payment.participantId)) {
+      throw new Error('Payer not found in session');
+    }
+    if (!(amount > 0)) {
+      throw new Error('Payments must be above zero');
+    }
+    
+    return { participantId: payment.participantId, amount };
+  });
+  
+  return commitEvent(session, 'receipt.paymentsSet', options.actor, {
+    receiptId: receipt.id,
+    payments: normalized
+  });
+}
+
+/**
+ * Add a single item to receipt
+ * @param {string} sessionId - Session code
+ * @param {Object} item - Item to add
+ * @param {Object} options - {expectedVersion, actor, receiptId} (defaults to the first receipt)
+ * @returns {Object} Updated session
+ */
+function addReceiptItem(sessionId, item, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  const newItem = withModifiers({
+    id: item.id || generateId(),
+    name: item.name || 'Unknown Item',
+    price: fromCents(toCents(item.price)),
+    quantity: parseInt(item.quantity) || 1,
+    category: item.category || 'other',
+    taxRate: normalizeTaxRate(item.taxRate)
+  }, item.modifiers);
+  
+  const receipt = requireReceipt(session, options.receiptId);
+  
+  return commitEvent(session, 'receipt.itemAdded', options.actor, { receiptId: receipt.id, item: newItem });
+}
+
+/**
+ * Set tax rates by item category, e.g. {food: 8.875, alcohol: 10, grocery: 0}
+ * Rates are percentages; a `default` entry covers categories not listed.
+ * Items carrying their own taxRate ignore these.
+ * @param {string} sessionId - Session code
+ * @param {Object} taxRates - {category: percent}
+ * @param {Object} options - {expectedVersion, actor, receiptId} (defaults to the first receipt)
+ * @returns {Object} Updated session
+ */
+function setTaxRates(sessionId, taxRates, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  const receipt = requireReceipt(session, options.receiptId);
+  
+  return commitEvent(session, 'receipt.taxRatesSet', options.actor, {
+    receiptId: receipt.id,
+    taxRates: normalizeTaxRates(taxRates)
+  });
+}
+
+/**
+ * Add a discount, coupon or comp to the receipt
+ * @param {string} sessionId - Session code
+ * @param {Object} discount - {name, type, value, appliesTo, itemId, category}
+ * @param {Object} options - {expectedVersion, actor, receiptId} (defaults to the first receipt)
+ * @returns {Object} Updated session
+ */
+function addDiscount(sessionId, discount, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  const receipt = requireReceipt(session, options.receiptId);
+  const normalized = normalizeDiscount(discount, receipt.items);
+  
+  if (normalized.appliesTo === 'item' && !receipt.items.some(i => i.id === normalized.itemId)) {
+    throw new Error('Item not found');
+  }
+  
+  return commitEvent(session, 'discount.added', options.actor, { receiptId: receipt.id, discount: normalized });
+}
+
+/**
+ * Remove a discount from the receipt
+ * @param {string} sessionId - Session code
+ * @param {string} discountId - Discount ID
+ * @param {Object} options - {expectedVersion, actor}
+ * @returns {Object} Updated session
+ */
+function removeDiscount(sessionId, discountId, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  const receipt = session.receipts.find(r => (r.discounts || []).some(d => d.id === discountId));
+  
+  if (!receipt) {
+    throw new Error('Discount not found');
+  }
+  
+  return commitEvent(session, 'discount.removed', options.actor, { receiptId: receipt.id, discountId });
+}
+
+/**
+ * Add a service charge or fee to the receipt
+ * Adding a fee with an existing ID replaces it, e.g. to change its allocation.
+ * @param {string} sessionId - Session code
+ * @param {Object} fee - {name, amount, kind, allocation, participantIds, itemId}
+ * @param {Object} options - {expectedVersion, actor, receiptId} (defaults to the first receipt)
+ * @returns {Object} Updated session
+ */
+function addFee(sessionId, fee, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  const receipt = requireReceipt(session, options.receiptId);
+  const normalized = normalizeFee(fee, receipt.items);
+  
+  if (normalized.allocation === 'claimers' && !receipt.items.some(i => i.id === normalized.itemId)) {
+    throw new Error('Item not found');
+  }
+  
+  return commitEvent(session, 'fee.added', options.actor, { receiptId: receipt.id, fee: normalized });
+}
+
+/**
+ * Remove a fee from the receipt
+ * @param {string} sessionId - Session code
+ * @param {string} feeId - Fee ID
+ * @param {Object} options - {expectedVersion, actor}
+ * @returns {Object} Updated session
+ */
+function removeFee(sessionId, feeId, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  assertVersion(session, options);
+  
+  const receipt = session.receipts.find(r => (r.fees || []).some(f => f.id === feeId));
+  
+  if (!receipt) {
+    throw new Error('Fee not found');
+  }
+  
+  return commitEvent(session, 'fee.removed', options.actor, { receiptId: receipt.id, feeId });
+}
+
+/**
+ * Set how the tip is worked out and shared (host only)
+ * Fields left out keep their current value.
+ * @param {string} sessionId - Session code
+ * @param {string} hostId - Host's ID
+ * @param {Object} policy - {type, percent, base, split, excluded}
+ * @param {Object} options - {expectedVersion}
+ * @returns {Object} Updated session
+ */
+function setTipPolicy(sessionId, hostId, policy, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  if (session.hostId !== hostId) {
+    throw new Error('Only host can change the tip policy');
+  }
+  
+  assertVersion(session, options);
+  
+  return commitEvent(session, 'tipPolicy.set', hostId, {
+    tipPolicy: normalizeTipPolicy({ ...session.tipPolicy, ...policy })
+  });
+}
+
+/**
+ * Choose what happens to items whose claims don't add up (host only)
+ * @param {string} sessionId - Session code
+ * @param {string} hostId - Host's ID
+ * @param {string} claimPolicy - 'normalize' | 'unclaimed' | 'block'
+ * @param {Object} options - {expectedVersion}
+ * @returns {Object} Updated session
+ */
+function setClaimPolicy(sessionId, hostId, claimPolicy, options = {}) {
+  const session = getSession(sessionId);
+  
+  if (!session) {
+    throw new Error('Session not found');
+  }
+  
+  if (session.hostId !== hostId) {
+    throw new Error('Only host can change the claim policy');
+  }
+  
+  if (!CLAIM_POLICIES.includes(claimPolicy)) {
+    throw new Error(`Invalid claim policy: ${claimPolicy}`);
+  }
+  
+  assertVersion(session, options);
+  
+  return commitEvent(session, 'claimPolicy.set', hostId, { claimPolicy });
+}
+
+/**
+ * Choose the currency the session settles in (host only)
+ * @param {string} sessionId - Session code
+ * @param {string} hostId - Host's ID
+ * @param {string|null} currency - ISO code such as 'EUR'; null goes back to the
+ *   first receipt's currency
+ * @param {Object} options - {expectedVersion}
+ * @returns {Object} Updated session
+ */
+function setSessionCurrency(sessionId, hostId, currency, options = {}) {
+  const session = getSession(sessionId);
   
   if (!session) {
     throw new Error('Session not found');
   }
   
-  if (session.expiresAt < now()) {
-    throw new Error('Session has expired');
+  if (session.hostId !== hostId) {
+    throw new Error('Only host can change the currency');
   }
   
-  // Update last seen for current user if provided
-  if (onUpdate) {
-    onUpdate(session);
-  }
+  assertVersion(session, options);
   
-  return session;
+  return commitEvent(session, 'currency.set', hostId, {
+    currency: currency ? normalizeCurrency(currency) : null
+  });
 }
 
 /**
- * Start real-time sync polling for a session
- * @param {string} code - Session code
- * @param {Function} callback - Called when session changes
- * @returns {Function} Stop function
+ * Add or update exchange rates (host only)
+ * Rates already set for other pairs are kept.
+ * @param {string} sessionId - Session code
+ * @param {string} hostId - Host's ID
+ * @param {Object|Array} rates - Typed in ({'EUR/USD': 1.08}) or loaded from a
+ *   rates file ({base, rates}); see normalizeExchangeRates
+ * @param {Object} options - {expectedVersion}
+ * @returns {Object} Updated session
  */
-function startSync(code, callback) {
-  let lastModified = 0;
-  let stopped = false;
+function setExchangeRates(sessionId, hostId, rates, options = {}) {
+  const session = getSession(sessionId);
   
-  const poll = () => {
-    if (stopped) return;
-    
-    try {
-      const session = getSession(code);
-      
-      if (!session) {
-        callback(null, 'Session not found');
-        return;
-      }
-      
-      // Only trigger callback if data changed
-      if (session.lastModified > lastModified) {
-        lastModified = session.lastModified;
-        callback(session, null);
-      }
-    } catch (e) {
-      callback(null, e.message);
-    }
-  };
+  if (!session) {
+    throw new Error('Session not found');
+  }
   
-  // Initial poll
-  poll();
+  if (session.hostId !== hostId) {
+    throw new Error('Only host can change exchange rates');
+  }
   
-  // Set up interval
-  const intervalId = setInterval(poll, SYNC_INTERVAL);
-  activeSyncIntervals.set(code, intervalId);
+  const normalized = normalizeExchangeRates(rates);
   
-  // Set up broadcast channel listener for instant sync
-  if (broadcastChannel) {
-    const handler = (event) => {
-      if (event.data?.sessionId === code) {
-        poll();
-      }
-    };
-    broadcastChannel.addEventListener('message', handler);
-  }
+  assertVersion(session, options);
   
-  // Return stop function
-  return () => {
-    stopped = true;
-    clearInterval(intervalId);
-    activeSyncIntervals.delete(code);
-  };
-}
-
-/**
- * Stop syncing a session
- * @param {string} code - Session code
- */
-function stopSync(code) {
-  const intervalId = activeSyncIntervals.get(code);
-  if (intervalId) {
-    clearInterval(intervalId);
-    activeSyncIntervals.delete(code);
-  }
+  return commitEvent(session, 'exchangeRates.set', hostId, { rates: normalized });
 }
 
-// ============================================
-// RECEIPT MANAGEMENT
-// ============================================
-
 /**
- * Add receipt to session
+ * Settle unclaimed items (host only)
+ * Applies to whole unclaimed items and to whatever is left of items whose
+ * claims fall short; it stops mattering once the item is fully claimed.
  * @param {string} sessionId - Session code
- * @param {Object} receipt - Receipt data
+ * @param {string} hostId - Host's ID
+ * @param {Array} itemIds - Items to resolve
+ * @param {Object} resolution - {method: 'even'|'assign'|'host'|'waive', participantId} (participantId for 'assign')
+ * @param {Object} options - {expectedVersion}
  * @returns {Object} Updated session
  */
-function setReceipt(sessionId, receipt) {
+function resolveUnclaimedItems(sessionId, hostId, itemIds, resolution, options = {}) {
   const session = getSession(sessionId);
   
   if (!session) {
     throw new Error('Session not found');
   }
   
-  // Ensure items have IDs
-  const itemsWithIds = (receipt.items || []).map(item => ({
-    id: item.id || generateId(),
-    name: item.name || 'Unknown Item',
-    price: parseFloat(item.price) || 0,
-    quantity: parseInt(item.quantity) || 1,
-    category: item.category || 'other'
-  }));
+  if (session.hostId !== hostId) {
+    throw new Error('Only host can resolve unclaimed items');
+  }
   
-  session.receipt = {
-    imageUrl: receipt.imageUrl || null,
-    items: itemsWithIds,
-    tax: parseFloat(receipt.tax) || 0,
-    tip: parseFloat(receipt.tip) || 0,
-    total: parseFloat(receipt.total) || 0
-  };
+  if (!resolution || !ORPHAN_RESOLUTIONS.includes(resolution.method)) {
+    throw new Error(`Invalid resolution: ${resolution && resolution.method}`);
+  }
   
-  session.status = 'selecting';
+  if (resolution.method === 'assign' && !session.participants.some(p => p.id === resolution.participantId)) {
+    throw new Error('Participant not found');
+  }
   
-  saveSession(session);
-  return session;
+  const missing = itemIds.find(itemId => !findItem(session, itemId));
+  if (missing) {
+    throw new Error(`Item not found: ${missing}`);
+  }
+  
+  assertVersion(session, options);
+  
+  return commitEvent(session, 'orphans.resolved', hostId, {
+    itemIds: itemIds.slice(),
+    resolution: resolution.method === 'assign'
+      ? { method: 'assign', participantId: resolution.participantId }
+      : { method: resolution.method }
+  });
 }
 
 /**
- * Add a single item to receipt
+ * Undo the host's resolution of an unclaimed item (host only)
  * @param {string} sessionId - Session code
- * @param {Object} item - Item to add
+ * @param {string} hostId - Host's ID
+ * @param {string} itemId - Item ID
+ * @param {Object} options - {expectedVersion}
  * @returns {Object} Updated session
  */
-function addReceiptItem(sessionId, item) {
+function clearUnclaimedResolution(sessionId, hostId, itemId, options = {}) {
   const session = getSession(sessionId);
   
   if (!session) {
     throw new Error('Session not found');
   }
   
-  const newItem = {
-    id: item.id || generateId(),
-    name: item.name || 'Unknown Item',
-    price: parseFloat(item.price) || 0,
-    quantity: parseInt(item.quantity) || 1,
-    category: item.category || 'other'
-  };
-  
-  session.receipt.items.push(newItem);
+  if (session.hostId !== hostId) {
+    throw new Error('Only host can resolve unclaimed items');
+  }
   
-  // Recalculate total
-  session.receipt.total = session.receipt.items.reduce(
-    (sum, i) => sum + (i.price * i.quantity), 0
-  );
+  assertVersion(session, options);
   
-  saveSession(session);
-  return session;
+  return commitEvent(session, 'orphan.cleared', hostId, { itemId });
 }
 
 // ============================================
@@ -697,12 +4119,11 @@ function addReceiptItem(sessionId, item) {
  * Change session status
  * @param {string} sessionId - Session code
  * @param {string} newStatus - New status
+ * @param {Object} options - {expectedVersion, actor}
  * @returns {Object} Updated session
  */
-function setSessionStatus(sessionId, newStatus) {
-  const validStatuses = ['lobby', 'selecting', 'reviewing', 'closed'];
-  
-  if (!validStatuses.includes(newStatus)) {
+function setSessionStatus(sessionId, newStatus, options = {}) {
+  if (!SESSION_STATUSES.includes(newStatus)) {
     throw new Error(`Invalid status: ${newStatus}`);
   }
   
@@ -712,27 +4133,48 @@ function setSessionStatus(sessionId, newStatus) {
     throw new Error('Session not found');
   }
   
-  session.status = newStatus;
-  saveSession(session);
-  return session;
+  assertVersion(session, options);
+  
+  if (newStatus === 'reviewing' && session.claimPolicy === 'block') {
+    const report = reconcileClaims(session);
+    if (!report.balanced) {
+      throw new ReconciliationError(sessionId, report.items);
+    }
+  }
+  
+  if (newStatus === 'reviewing') {
+    const missing = calculateTotals(session).summary.missingRates;
+    if (missing.length > 0) {
+      throw new Error(`Exchange rate needed: ${missing.join(', ')}`);
+    }
+    
+    const unclaimed = getUnclaimedItems(session);
+    if (unclaimed.length > 0) {
+      throw new UnclaimedItemsError(sessionId, unclaimed);
+    }
+  }
+  
+  return commitEvent(session, 'status.changed', options.actor, { status: newStatus });
 }
 
 /**
  * Move to reviewing status
  * @param {string} sessionId - Session code
+ * @param {Object} options - {expectedVersion, actor}
  * @returns {Object} Updated session
  */
-function finalizeSelections(sessionId) {
-  return setSessionStatus(sessionId, 'reviewing');
+function finalizeSelections(sessionId, options = {}) {
+  return setSessionStatus(sessionId, 'reviewing', options);
 }
 
 /**
  * Close session
  * @param {string} sessionId - Session code
+ * @param {Object} options - {expectedVersion, actor}
  * @returns {Object} Updated session
  */
-function closeSession(sessionId) {
-  return setSessionStatus(sessionId, 'closed');
+function closeSession(sessionId, options = {}) {
+  return setSessionStatus(sessionId, 'closed', options);
 }
 
 // ============================================
@@ -748,11 +4190,22 @@ function expireOldSessions() {
   const currentTime = now();
   let removed = 0;
   
+  // Stored sessions may predate the current schema, so they're read through
+  // the migrations before working out who still owes what
+  const settlingUp = (session, code) => {
+    if (session.status !== 'reviewing' || !(session.createdAt > currentTime - SETTLE_UP_TTL)) return false;
+    try {
+      return !getSettlementStatus(validateSession(migrateSession(session, code)).session).settled;
+    } catch (e) {
+      return false; // Can't be read, so there's nothing left to settle
+    }
+  };
+  
   Object.keys(sessions).forEach(code => {
     const session = sessions[code];
     
-    // Expired by TTL
-    if (session.expiresAt < currentTime) {
+    // Expired by TTL, unless people still owe each other money
+    if (session.expiresAt < currentTime && !settlingUp(session, code)) {
       delete sessions[code];
       removed++;
       return;
@@ -786,9 +4239,10 @@ function expireOldSessions() {
  * Delete a session (host only)
  * @param {string} sessionId - Session code
  * @param {string} userId - User attempting deletion (must be host)
+ * @param {Object} options - {expectedVersion} to reject stale updates
  * @returns {boolean} Success
  */
-function deleteSession(sessionId, userId) {
+function deleteSession(sessionId, userId, options = {}) {
   const session = getSession(sessionId);
   
   if (!session) return false;
@@ -797,6 +4251,8 @@ function deleteSession(sessionId, userId) {
     throw new Error('Only host can delete session');
   }
   
+  assertVersion(session, options);
+  
   const sessions = getAllSessions();
   delete sessions[sessionId];
   saveAllSessions(sessions);
@@ -804,6 +4260,497 @@ function deleteSession(sessionId, userId) {
   return true;
 }
 
+// ============================================
+// LEGACY ROOMS
+// ============================================
+
+/**
+ * Rooms saved by the old index.html (room_<code> in localStorage and the
+ * Supabase 'rooms' table) used their own shape:
+ *   { participants: [{id, name, emoji, isHost}], items: [{id, name, price, quantity}],
+ *     tax, tip, selections: {itemId: [{userId, type, timestamp}]},
+ *     status: 'lobby'|'receipt'|'selecting'|'final', kickedUsers, paymentMethods, lastModified }
+ * Item prices were line totals, and 'receipt'/'final' map to 'lobby'/'reviewing'.
+ */
+const LEGACY_STATUS_MAP = {
+  lobby: 'lobby',
+  receipt: 'lobby',
+  selecting: 'selecting',
+  final: 'reviewing'
+};
+
+/**
+ * Check whether stored room data predates the engine's session format
+ */
+function isLegacyRoom(room) {
+  return !!room && typeof room === 'object' && !room.receipt && Array.isArray(room.items);
+}
+
+/**
+ * Convert an item priced as a line total (the parser's convention) into an
+ * engine item priced per unit. Totals that don't divide evenly stay a single
+ * line so no cent is lost.
+ * The line total is used rather than the parser's unit price, which is
+ * rounded and may not match the total the receipt adds up.
+ * @param {Object} item - {name, lineTotal, quantity}; older callers pass the
+ *   line total as price
+ * @returns {Object} Item for setReceipt/addReceiptItem
+ */
+function fromLineTotal(item) {
+  const quantity = parseInt(item.quantity) || 1;
+  const lineCents = toCents(item.lineTotal !== undefined ? item.lineTotal : item.price);
+  const { lineTotal, unitPrice, checked, ...rest } = item;
+  const converted = { ...rest, price: fromCents(lineCents), quantity: 1 };
+  
+  if (quantity > 1) {
+    if (lineCents % quantity === 0) {
+      converted.price = fromCents(lineCents / quantity);
+      converted.quantity = quantity;
+    } else {
+      converted.name = `${quantity}x ${item.name}`;
+    }
+  }
+  return converted;
+}
+
+/**
+ * Upgrade a room in the old index.html format into an engine session
+ * The upgrade is written as a synthetic event log whose IDs derive from the
+ * room code, so devices upgrading the same room produce the same history and
+ * their copies merge cleanly.
+ * @param {string} code - Room code the data was stored under
+ * @param {Object} room - Parsed room data; engine sessions are returned as-is
+ * @returns {Object} Engine session
+ */
+function migrateLegacyRoom(code, room) {
+  if (!isLegacyRoom(room)) return room;
+  
+  const sessionId = code.toUpperCase();
+  const timestamp = room.lastModified || now();
+  const participants = room.participants || [];
+  const host = participants.find(p => p.isHost) || participants[0];
+  const hostId = host ? host.id : null;
+  const events = [];
+  
+  // One timestamp for all events; the zero-padded ID keeps them in order when merged
+  const record = (type, actor, payload) => {
+    events.push({
+      id: `${sessionId}-legacy-${String(events.length).padStart(4, '0')}`,
+      version: events.length + 1,
+      type,
+      actor: actor || null,
+      payload,
+      timestamp
+    });
+  };
+  
+  record('session.created', hostId, {
+    id: sessionId,
+    hostId,
+    createdAt: timestamp,
+    expiresAt: timestamp + SESSION_TTL
+  });
+  
+  participants.forEach(p => {
+    record('participant.joined', p.id, { user: { id: p.id, name: p.name, emoji: p.emoji || '👤' } });
+  });
+  
+  (room.kickedUsers || []).forEach(userId => {
+    record('participant.kicked', hostId, { participantId: userId });
+  });
+  
+  if (room.paymentMethods) {
+    record('paymentMethods.set', hostId, { paymentMethods: room.paymentMethods });
+  }
+  
+  const items = (room.items || []).map((item, index) => {
+    const converted = fromLineTotal(item);
+    return {
+      id: item.id || `it_${index}`,
+      name: converted.name || 'Unknown Item',
+      price: converted.price,
+      quantity: converted.quantity,
+      category: item.category || 'other'
+    };
+  });
+  
+  if (items.length > 0) {
+    const tax = toCents(room.tax || 0);
+    const tip = toCents(room.tip || 0);
+    const subtotal = items.reduce((sum, item) => sum + toCents(item.price) * item.quantity, 0);
+    
+    record('receipt.set', hostId, {
+      receipt: {
+        imageUrl: null,
+        items,
+        tax: fromCents(tax),
+        tip: fromCents(tip),
+        total: fromCents(subtotal + tax + tip)
+      },
+      replacedItemIds: []
+    });
+  }
+  
+  // Old solo claims cleared the list when made, so keep every listed claim as it was
+  const memberIds = participants.map(p => p.id);
+  Object.keys(room.selections || {}).forEach(itemId => {
+    if (!items.some(item => item.id === itemId)) return;
+    
+    (room.selections[itemId] || []).forEach(selection => {
+      if (!memberIds.includes(selection.userId)) return;
+      
+      record('item.selected', selection.userId, {
+        participantId: selection.userId,
+        itemId,
+        splitType: selection.type === 'solo' ? 'solo' : 'even',
+        value: null,
+        displacedTags: []
+      });
+    });
+  });
+  
+  let session = replayEvents(events);
+  const status = LEGACY_STATUS_MAP[room.status] || 'lobby';
+  
+  if (session.status !== status) {
+    record('status.changed', hostId, { status });
+    session = replayEvents(events);
+  }
+  
+  return session;
+}
+
+// ============================================
+// SCHEMA MIGRATIONS & VALIDATION
+// ============================================
+
+/**
+ * Migrations upgrade a session from the previous schema version to the key's
+ * version. Sessions without a schemaVersion are version 0: either rooms from
+ * the old index.html or engine sessions from before versioning.
+ * Each migration receives a copy it may modify, plus the session code.
+ */
+const MIGRATIONS = {
+  // 0 -> 1: old index.html rooms become engine sessions
+  1: (session, code) => migrateLegacyRoom(code, session),
+  
+  // 1 -> 2: fields added with versions, the event log, undo and merging
+  2: (session) => {
+    session.version = session.version || 0;
+    session.events = session.events || [];
+    session.undoStacks = session.undoStacks || {};
+    session.tombstones = session.tombstones || {};
+    session.kickedUsers = session.kickedUsers || [];
+    session.paymentMethods = session.paymentMethods || {};
+    return session;
+  },
+  
+  // 2 -> 3: tax rates by category on the receipt
+  3: (session) => {
+    // Malformed sessions may have no receipt; validateSession supplies one
+    if (session.receipt) {
+      session.receipt.taxRates = session.receipt.taxRates || {};
+    }
+    return session;
+  },
+  
+  // 3 -> 4: tip policy (the printed tip, shared by food subtotal, as before)
+  4: (session) => {
+    session.tipPolicy = session.tipPolicy || clone(DEFAULT_TIP_POLICY);
+    return session;
+  },
+  
+  // 4 -> 5: discount lines on the receipt
+  5: (session) => {
+    if (session.receipt) {
+      session.receipt.discounts = session.receipt.discounts || [];
+    }
+    return session;
+  },
+  
+  // 5 -> 6: service charges and fees on the receipt
+  6: (session) => {
+    if (session.receipt) {
+      session.receipt.fees = session.receipt.fees || [];
+    }
+    return session;
+  },
+  
+  // 6 -> 7: host policy for claims that don't add up
+  7: (session) => {
+    session.claimPolicy = session.claimPolicy || 'unclaimed';
+    return session;
+  },
+  
+  // 7 -> 8: host resolutions for unclaimed items
+  8: (session) => {
+    session.orphanResolutions = session.orphanResolutions || {};
+    return session;
+  },
+  
+  // 8 -> 9: the single receipt becomes the first of a list
+  9: (session) => {
+    if (!session.receipts) {
+      session.receipts = [createReceipt(DEFAULT_RECEIPT_ID, session.receipt || {})];
+    }
+    delete session.receipt;
+    return session;
+  },
+  
+  // 9 -> 10: split payments on each receipt
+  10: (session) => {
+    (session.receipts || []).forEach(receipt => {
+      receipt.payments = receipt.payments || [];
+    });
+    return session;
+  },
+  
+  // 10 -> 11: settle-up payment status
+  11: (session) => {
+    session.settlements = session.settlements || {};
+    return session;
+  },
+  
+  // 11 -> 12: receipt currencies, settlement currency and exchange rates
+  12: (session) => {
+    (session.receipts || []).forEach(receipt => {
+      receipt.currency = receipt.currency || null;
+    });
+    session.currency = session.currency || null;
+    session.exchangeRates = session.exchangeRates || {};
+    return session;
+  }
+};
+
+/**
+ * Upgrade a session to SCHEMA_VERSION
+ * Sessions from a newer schema are returned unchanged.
+ * @param {Object} session - Stored or received session (not modified)
+ * @param {string} code - Session code, needed for rooms that didn't store one
+ * @returns {Object} Upgraded session
+ */
+function migrateSession(session, code) {
+  let migrated = clone(session);
+  
+  while ((migrated.schemaVersion || 0) < SCHEMA_VERSION) {
+    const target = (migrated.schemaVersion || 0) + 1;
+    migrated = MIGRATIONS[target](migrated, code || migrated.id);
+    migrated.schemaVersion = Math.max(migrated.schemaVersion || 0, target);
+  }
+  
+  return migrated;
+}
+
+/**
+ * Check a session against the current schema, repairing what can be repaired:
+ * missing collections are recreated, non-numeric amounts parsed or zeroed,
+ * participants and items without an ID (or duplicated) dropped, and selections
+ * pointing at missing participants or items removed.
+ * @param {Object} session - Session to check (not modified)
+ * @returns {Object} {session, problems} repaired copy and a list of what was fixed
+ * @throws {InvalidSessionError} When the session has no ID or isn't an object
+ */
+function validateSession(session) {
+  const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+  const isNumber = (value) => typeof value === 'number' && isFinite(value);
+  
+  if (!isObject(session)) {
+    throw new InvalidSessionError(null, ['not an object']);
+  }
+  if (typeof session.id !== 'string' || !session.id) {
+    throw new InvalidSessionError(null, ['missing id']);
+  }
+  
+  const repaired = clone(session);
+  const problems = [];
+  
+  const ensure = (owner, key, isValid, fallback, label) => {
+    if (!isValid(owner[key])) {
+      problems.push(`${label} was ${JSON.stringify(owner[key])}`);
+      owner[key] = fallback();
+    }
+  };
+  const toAmount = (owner, key, label) => ensure(owner, key, isNumber,
+    () => fromCents(toCents(owner[key])), label);
+  const isCurrency = (value) => value === null || (typeof value === 'string' && /^[A-Z]{3}$/.test(value));
+  
+  ensure(repaired, 'status', s => SESSION_STATUSES.includes(s), () => 'lobby', 'status');
+  ensure(repaired, 'createdAt', isNumber, () => repaired.lastModified || now(), 'createdAt');
+  ensure(repaired, 'expiresAt', isNumber, () => repaired.createdAt + SESSION_TTL, 'expiresAt');
+  ensure(repaired, 'participants', Array.isArray, () => [], 'participants');
+  ensure(repaired, 'selections', Array.isArray, () => [], 'selections');
+  ensure(repaired, 'events', Array.isArray, () => [], 'events');
+  ensure(repaired, 'kickedUsers', Array.isArray, () => [], 'kickedUsers');
+  ensure(repaired, 'undoStacks', isObject, () => ({}), 'undoStacks');
+  ensure(repaired, 'tombstones', isObject, () => ({}), 'tombstones');
+  ensure(repaired, 'tipPolicy', (policy) => {
+    try {
+      normalizeTipPolicy(policy);
+      return isObject(policy);
+    } catch (e) {
+      return false;
+    }
+  }, () => clone(DEFAULT_TIP_POLICY), 'tipPolicy');
+  ensure(repaired, 'claimPolicy', p => CLAIM_POLICIES.includes(p), () => 'unclaimed', 'claimPolicy');
+  ensure(repaired, 'orphanResolutions', isObject, () => ({}), 'orphanResolutions');
+  ensure(repaired, 'settlements', isObject, () => ({}), 'settlements');
+  ensure(repaired, 'currency', isCurrency, () => null, 'currency');
+  ensure(repaired, 'exchangeRates', isObject, () => ({}), 'exchangeRates');
+  ensure(repaired, 'receipts', r => Array.isArray(r) && r.length > 0,
+    () => [createReceipt(DEFAULT_RECEIPT_ID)], 'receipts');
+  
+  // Participants need a unique ID
+  const participantIds = new Set();
+  repaired.participants = repaired.participants.filter(p => {
+    if (!isObject(p) || !p.id || participantIds.has(p.id)) {
+      problems.push(`dropped participant ${JSON.stringify(p && p.id)}`);
+      return false;
+    }
+    participantIds.add(p.id);
+    return true;
+  });
+  
+  // Receipts need a unique ID; items a unique ID across all receipts, a
+  // numeric price and a positive whole quantity
+  const isRate = (rate) => isNumber(rate) && rate >= 0 && rate <= 100;
+  const isText = (value) => value === null || typeof value === 'string';
+  const receiptIds = new Set();
+  const itemIds = new Set();
+  
+  repaired.receipts = repaired.receipts.filter(receipt => {
+    if (!isObject(receipt) || !receipt.id || receiptIds.has(receipt.id)) {
+      problems.push(`dropped receipt ${JSON.stringify(receipt && receipt.id)}`);
+      return false;
+    }
+    receiptIds.add(receipt.id);
+    
+    const label = `receipt ${receipt.id}`;
+    ensure(receipt, 'merchant', isText, () => null, `${label} merchant`);
+    ensure(receipt, 'date', isText, () => null, `${label} date`);
+    ensure(receipt, 'currency', isCurrency, () => null, `${label} currency`);
+    ensure(receipt, 'payer', isText, () => null, `${label} payer`);
+    ensure(receipt, 'payments', Array.isArray, () => [], `${label} payments`);
+    receipt.payments = receipt.payments.filter(payment => {
+      const valid = isObject(payment) && typeof payment.participantId === 'string' &&
+        isNumber(payment.amount) && payment.amount > 0;
+      if (!valid) {
+        problems.push(`dropped payment ${JSON.stringify(payment)} on ${label}`);
+      }
+      return valid;
+    });
+    ensure(receipt, 'items', Array.isArray, () => [], `${label} items`);
+    ensure(receipt, 'taxRates', isObject, () => ({}), `${label} taxRates`);
+    
+    Object.keys(receipt.taxRates).forEach(category => {
+      if (!isRate(receipt.taxRates[category])) {
+        problems.push(`dropped tax rate ${category}=${JSON.stringify(receipt.taxRates[category])}`);
+        delete receipt.taxRates[category];
+      }
+    });
+    
+    const receiptItemIds = new Set();
+    receipt.items = receipt.items.filter(item => {
+      if (!isObject(item) || !item.id || itemIds.has(item.id)) {
+        problems.push(`dropped item ${JSON.stringify(item && item.id)}`);
+        return false;
+      }
+      itemIds.add(item.id);
+      receiptItemIds.add(item.id);
+      
+      toAmount(item, 'price', `item ${item.id} price`);
+      ensure(item, 'quantity', q => Number.isInteger(q) && q > 0,
+        () => Math.max(parseInt(item.quantity) || 1, 1), `item ${item.id} quantity`);
+      if (item.taxRate !== undefined && item.taxRate !== null) {
+        ensure(item, 'taxRate', isRate, () => null, `item ${item.id} taxRate`);
+      }
+      if (item.modifiers !== undefined) {
+        ensure(item, 'modifiers', m => Array.isArray(m) && m.every(line => isObject(line) && typeof line.name === 'string' && isNumber(line.price)),
+          () => normalizeModifiers(item.modifiers), `item ${item.id} modifiers`);
+      }
+      return true;
+    });
+    
+    // Discounts must be well-formed; item discounts need their item
+    ensure(receipt, 'discounts', Array.isArray, () => [], `${label} discounts`);
+    receipt.discounts = receipt.discounts.filter(d => {
+      try {
+        const normalized = normalizeDiscount(d);
+        if (isObject(d) && d.id && (normalized.appliesTo !== 'item' || receiptItemIds.has(d.itemId))) {
+          return true;
+        }
+      } catch (e) {
+        // Reported below
+      }
+      problems.push(`dropped discount ${JSON.stringify(d && d.id)}`);
+      return false;
+    });
+    
+    // Fees likewise; fees for an item's claimers need that item
+    ensure(receipt, 'fees', Array.isArray, () => [], `${label} fees`);
+    receipt.fees = receipt.fees.filter(f => {
+      try {
+        const normalized = normalizeFee(f);
+        if (isObject(f) && f.id && (normalized.allocation !== 'claimers' || receiptItemIds.has(f.itemId))) {
+          return true;
+        }
+      } catch (e) {
+        // Reported below
+      }
+      problems.push(`dropped fee ${JSON.stringify(f && f.id)}`);
+      return false;
+    });
+    
+    toAmount(receipt, 'tax', `${label} tax`);
+    toAmount(receipt, 'tip', `${label} tip`);
+    toAmount(receipt, 'total', `${label} total`);
+    return true;
+  });
+  
+  if (repaired.receipts.length === 0) {
+    repaired.receipts.push(createReceipt(DEFAULT_RECEIPT_ID));
+  }
+  
+  // Selections must point at a current participant and item
+  repaired.selections = repaired.selections.filter(s => {
+    const valid = isObject(s) && participantIds.has(s.participantId) &&
+      itemIds.has(s.itemId) && SPLIT_TYPES.includes(s.splitType);
+    
+    if (!valid) {
+      problems.push(`dropped selection ${JSON.stringify(s)}`);
+    }
+    return valid;
+  });
+  
+  // Unclaimed-item resolutions need a known method and item
+  Object.keys(repaired.orphanResolutions).forEach(itemId => {
+    const resolution = repaired.orphanResolutions[itemId];
+    if (!itemIds.has(itemId) || !isObject(resolution) || !ORPHAN_RESOLUTIONS.includes(resolution.method)) {
+      problems.push(`dropped resolution for ${JSON.stringify(itemId)}`);
+      delete repaired.orphanResolutions[itemId];
+    }
+  });
+  
+  // Exchange rates need a pair of currencies and a positive rate
+  Object.keys(repaired.exchangeRates).forEach(pair => {
+    const rate = repaired.exchangeRates[pair];
+    if (!/^[A-Z]{3}\/[A-Z]{3}$/.test(pair) || !isNumber(rate) || rate <= 0) {
+      problems.push(`dropped exchange rate ${pair}=${JSON.stringify(rate)}`);
+      delete repaired.exchangeRates[pair];
+    }
+  });
+  
+  // Settle-up records need the pair of people they belong to
+  Object.keys(repaired.settlements).forEach(key => {
+    const record = repaired.settlements[key];
+    if (!isObject(record) || key !== settlementKey(record.from, record.to) || !isNumber(record.amount)) {
+      problems.push(`dropped settlement record ${JSON.stringify(key)}`);
+      delete repaired.settlements[key];
+    }
+  });
+  
+  return { session: repaired, problems };
+}
+
 // ============================================
 // HELPER FUNCTIONS
 // ============================================
@@ -856,17 +4803,32 @@ function exportSession(sessionId) {
 /**
  * Initialize the SPLITT state manager
  * Call this on app startup
+ * @param {Object} options - {storage, transport} storage adapter (defaults to
+ *   localStorage or memory) and optional cross-device sync transport
+ * @returns {Promise} Resolves once storage is ready and expired sessions are cleaned up
  */
-function initSplitt() {
-  // Clean up expired sessions
-  expireOldSessions();
+function initSplitt(options = {}) {
+  if (options.storage) {
+    setStorageAdapter(options.storage);
+  }
+  
+  if (options.transport !== undefined) {
+    setSyncTransport(options.transport);
+  }
+  
+  const storage = getStorageAdapter();
   
   // Setup broadcast listener for multi-tab sync
   setupBroadcastListener((session) => {
     console.log('Sync received for session:', session.id);
   });
   
-  console.log('SPLITT State Manager initialized');
+  console.log(`SPLITT State Manager initialized (${storage.type || 'custom'} storage)`);
+  
+  // Clean up expired sessions once async storage has loaded
+  return Promise.resolve(storage.ready).then(() => {
+    expireOldSessions();
+  });
 }
 
 // ============================================
@@ -879,15 +4841,63 @@ if (typeof module !== 'undefined' && module.exports) {
     createSession,
     joinSession,
     leaveSession,
+    kickParticipant,
+    setPaymentMethods,
+    setTipPolicy,
+    setClaimPolicy,
+    setSessionCurrency,
+    setExchangeRates,
+    normalizeExchangeRates,
+    readExchangeRatesFile,
+    exchangeRate,
+    convertCents,
+    sessionCurrency,
+    resolveUnclaimedItems,
+    clearUnclaimedResolution,
     syncSession,
     startSync,
     stopSync,
+    createWebSocketTransport,
+    setSyncTransport,
+    receiveRemoteSession,
+    migrateLegacyRoom,
+    migrateSession,
+    validateSession,
+    isLegacyRoom,
+    fromLineTotal,
+    mergeSessions,
+    applyRemoteDelta,
+    createDelta,
+    diffJson,
+    applyPatch,
     selectItem,
     deselectItem,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
     calculateTotals,
+    reconcileClaims,
+    getUnclaimedItems,
+    calculateBalances,
+    calculateSettlement,
+    getSettlementStatus,
+    getOutstandingBalances,
+    markTransferPaid,
+    confirmTransferReceived,
+    sendReminders,
     expireOldSessions,
     setReceipt,
+    addReceipt,
+    removeReceipt,
+    setReceiptInfo,
+    setReceiptPayments,
     addReceiptItem,
+    setTaxRates,
+    addDiscount,
+    removeDiscount,
+    addFee,
+    removeFee,
     setSessionStatus,
     finalizeSelections,
     closeSession,
@@ -897,11 +4907,30 @@ if (typeof module !== 'undefined' && module.exports) {
     getParticipantSelections,
     getItemClaimants,
     exportSession,
+    getSessionHistory,
+    getSessionAt,
+    replayEvents,
     initSplitt,
+    createMemoryStorage,
+    createLocalStorage,
+    createIndexedDBStorage,
+    createFileStorage,
+    setStorageAdapter,
+    getStorageAdapter,
+    retryOnConflict,
     generateId,
     generateRoomCode,
+    toCents,
+    fromCents,
+    allocateCents,
+    ConflictError,
+    InvalidSessionError,
+    ReconciliationError,
+    UnclaimedItemsError,
+    SCHEMA_VERSION,
     // Constants
     SYNC_INTERVAL,
+    SNAPSHOT_TIMEOUT,
     SESSION_TTL
   };
 }
@@ -912,15 +4941,63 @@ if (typeof window !== 'undefined') {
     createSession,
     joinSession,
     leaveSession,
+    kickParticipant,
+    setPaymentMethods,
+    setTipPolicy,
+    setClaimPolicy,
+    setSessionCurrency,
+    setExchangeRates,
+    normalizeExchangeRates,
+    readExchangeRatesFile,
+    exchangeRate,
+    convertCents,
+    sessionCurrency,
+    resolveUnclaimedItems,
+    clearUnclaimedResolution,
     syncSession,
     startSync,
     stopSync,
+    createWebSocketTransport,
+    setSyncTransport,
+    receiveRemoteSession,
+    migrateLegacyRoom,
+    migrateSession,
+    validateSession,
+    isLegacyRoom,
+    fromLineTotal,
+    mergeSessions,
+    applyRemoteDelta,
+    createDelta,
+    diffJson,
+    applyPatch,
     selectItem,
     deselectItem,
+    undo,
+    redo,
+    canUndo,
+    canRedo,
     calculateTotals,
+    reconcileClaims,
+    getUnclaimedItems,
+    calculateBalances,
+    calculateSettlement,
+    getSettlementStatus,
+    getOutstandingBalances,
+    markTransferPaid,
+    confirmTransferReceived,
+    sendReminders,
     expireOldSessions,
     setReceipt,
+    addReceipt,
+    removeReceipt,
+    setReceiptInfo,
+    setReceiptPayments,
     addReceiptItem,
+    setTaxRates,
+    addDiscount,
+    removeDiscount,
+    addFee,
+    removeFee,
     setSessionStatus,
     finalizeSelections,
     closeSession,
@@ -930,10 +5007,29 @@ if (typeof window !== 'undefined') {
     getParticipantSelections,
     getItemClaimants,
     exportSession,
+    getSessionHistory,
+    getSessionAt,
+    replayEvents,
     initSplitt,
+    createMemoryStorage,
+    createLocalStorage,
+    createIndexedDBStorage,
+    createFileStorage,
+    setStorageAdapter,
+    getStorageAdapter,
+    retryOnConflict,
     generateId,
     generateRoomCode,
+    toCents,
+    fromCents,
+    allocateCents,
+    ConflictError,
+    InvalidSessionError,
+    ReconciliationError,
+    UnclaimedItemsError,
+    SCHEMA_VERSION,
     SYNC_INTERVAL,
+    SNAPSHOT_TIMEOUT,
     SESSION_TTL
   };
 }
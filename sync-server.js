@@ -0,0 +1,423 @@
+/**
+ * SPLITT - Sync Relay Server
+ * Minimal WebSocket relay for real-time session sync (Node only, no dependencies)
+ *
+ * Usage:
+ *   node sync-server.js [--port 8787] [--data ./splitt-data.json]
+ *
+ * Sessions are kept in memory, or in a JSON file when --data is given.
+ *
+ * Protocol (JSON text frames):
+ *   client -> server
+ *     {type: 'subscribe', sessionId}     start receiving updates for a session
+ *     {type: 'unsubscribe', sessionId}   stop receiving updates
+ *     {type: 'fetch', sessionId}         ask for a full snapshot
+ *     {type: 'publish', session}         merge a full session into the stored copy
+ *     {type: 'delta', sessionId, delta}  apply a delta on top of delta.baseVersion
+ *   server -> client
+ *     {type: 'snapshot', sessionId, session}   reply to subscribe/fetch (session may be null)
+ *     {type: 'update', sessionId, session}     pushed when a publish changes the stored copy
+ *     {type: 'delta', sessionId, delta}        pushed when another client sends a delta
+ *     {type: 'ack', sessionId, version}        publish or delta accepted
+ *     {type: 'conflict', sessionId, session}   publish/delta added nothing new, had the
+ *                                              wrong base or didn't apply; current copy attached
+ *     {type: 'error', message}
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { createMemoryStorage, createFileStorage, applyPatch, mergeSessions } = require('./state.js');
+
+// ============================================
+// CONSTANTS & CONFIG
+// ============================================
+
+const DEFAULT_PORT = 8787;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // RFC 6455 handshake constant
+const MAX_FRAME_SIZE = 5 * 1024 * 1024; // 5 MB, far above any real session
+
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xA
+};
+
+// ============================================
+// WEBSOCKET FRAMING
+// ============================================
+
+/**
+ * Encode a single unmasked server frame
+ * @param {number} opcode - Frame opcode
+ * @param {Buffer} payload - Frame payload
+ * @returns {Buffer} Encoded frame
+ */
+function encodeFrame(opcode, payload) {
+  const length = payload.length;
+  let header;
+  
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  
+  header[0] = 0x80 | opcode; // FIN + opcode
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode as many complete frames as the buffer holds
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {Object} {frames: [{fin, opcode, payload}], rest: Buffer}
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    const masked = (second & 0x80) !== 0;
+    let length = second & 0x7F;
+    let headerLength = 2;
+    
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      length = Number(buffer.readBigUInt64BE(offset + 2));
+      headerLength = 10;
+    }
+    
+    if (length > MAX_FRAME_SIZE) {
+      throw new Error('Frame too large');
+    }
+    
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length - offset < headerLength + maskLength + length) break;
+    
+    const payload = Buffer.from(buffer.subarray(
+      offset + headerLength + maskLength,
+      offset + headerLength + maskLength + length
+    ));
+    
+    if (masked) {
+      const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+    }
+    
+    frames.push({ fin: (first & 0x80) !== 0, opcode: first & 0x0F, payload });
+    offset += headerLength + maskLength + length;
+  }
+  
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Wrap an upgraded socket in a tiny connection object
+ * @param {net.Socket} socket - Socket after the 101 handshake
+ * @param {Function} onMessage - Called with each complete text message
+ * @param {Function} onClose - Called once when the connection ends
+ * @returns {Object} {send(obj), close()}
+ */
+function createConnection(socket, onMessage, onClose) {
+  let buffered = Buffer.alloc(0);
+  let fragments = [];
+  let closed = false;
+  
+  const connection = {
+    send(message) {
+      if (closed) return;
+      socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+    },
+    close() {
+      if (closed) return;
+      socket.end(encodeFrame(OPCODES.close, Buffer.alloc(0)));
+    }
+  };
+  
+  const finish = () => {
+    if (closed) return;
+    closed = true;
+    onClose(connection);
+  };
+  
+  socket.on('data', (chunk) => {
+    buffered = Buffer.concat([buffered, chunk]);
+    
+    let decoded;
+    try {
+      decoded = decodeFrames(buffered);
+    } catch (e) {
+      socket.destroy();
+      return;
+    }
+    buffered = decoded.rest;
+    
+    decoded.frames.forEach(frame => {
+      switch (frame.opcode) {
+        case OPCODES.text:
+        case OPCODES.continuation:
+          fragments.push(frame.payload);
+          if (frame.fin) {
+            const text = Buffer.concat(fragments).toString('utf8');
+            fragments = [];
+            onMessage(connection, text);
+          }
+          break;
+        
+        case OPCODES.ping:
+          socket.write(encodeFrame(OPCODES.pong, frame.payload));
+          break;
+        
+        case OPCODES.close:
+          connection.close();
+          finish();
+          break;
+      }
+    });
+  });
+  
+  socket.on('close', finish);
+  socket.on('error', finish);
+  
+  return connection;
+}
+
+// ============================================
+// RELAY
+// ============================================
+
+/**
+ * Create the relay server
+ * @param {Object} options - {port, storage} storage is any state.js storage adapter
+ * @returns {Promise<Object>} Resolves to {port, server, close()} once listening
+ */
+function createSyncServer(options = {}) {
+  const storage = options.storage || createMemoryStorage();
+  const subscribers = new Map(); // sessionId -> Set of connections
+  
+  const readSession = (sessionId) => {
+    const data = storage.getItem(`session:${sessionId}`);
+    const session = data ? JSON.parse(data) : null;
+    
+    if (session && session.expiresAt < Date.now()) {
+      storage.removeItem(`session:${sessionId}`);
+      return null;
+    }
+    return session;
+  };
+  
+  const writeSession = (session) => {
+    storage.setItem(`session:${session.id}`, JSON.stringify(session));
+  };
+  
+  const broadcast = (sessionId, message, except = null) => {
+    (subscribers.get(sessionId) || []).forEach(connection => {
+      if (connection !== except) connection.send(message);
+    });
+  };
+  
+  const handlers = {
+    subscribe(connection, message) {
+      if (!subscribers.has(message.sessionId)) {
+        subscribers.set(message.sessionId, new Set());
+      }
+      subscribers.get(message.sessionId).add(connection);
+      
+      connection.send({
+        type: 'snapshot',
+        sessionId: message.sessionId,
+        session: readSession(message.sessionId)
+      });
+    },
+    
+    unsubscribe(connection, message) {
+      const set = subscribers.get(message.sessionId);
+      if (set) set.delete(connection);
+    },
+    
+    fetch(connection, message) {
+      connection.send({
+        type: 'snapshot',
+        sessionId: message.sessionId,
+        session: readSession(message.sessionId)
+      });
+    },
+    
+    publish(connection, message) {
+      const session = message.session;
+      if (!session || !session.id) {
+        connection.send({ type: 'error', message: 'publish requires a session' });
+        return;
+      }
+      
+      // Merge with the stored copy so edits made offline aren't overwritten
+      const stored = readSession(session.id);
+      const merged = stored ? mergeSessions(stored, session) : session;
+      
+      if (stored && (merged.version || 0) <= (stored.version || 0)) {
+        // Nothing we don't already have; the client is behind
+        connection.send({ type: 'conflict', sessionId: session.id, session: stored });
+        return;
+      }
+      
+      writeSession(merged);
+      connection.send({ type: 'ack', sessionId: session.id, version: merged.version || 0 });
+      
+      // A true merge is new to the sender as well
+      const sender = merged.version === session.version ? connection : null;
+      broadcast(session.id, { type: 'update', sessionId: session.id, session: merged }, sender);
+    },
+    
+    delta(connection, message) {
+      const delta = message.delta;
+      if (!delta || !delta.sessionId || !Array.isArray(delta.ops)) {
+        connection.send({ type: 'error', message: 'delta requires sessionId and ops' });
+        return;
+      }
+      
+      // Deltas only apply on top of the exact version they were made from
+      const stored = readSession(delta.sessionId);
+      if (!stored || (stored.version || 0) !== delta.baseVersion) {
+        connection.send({ type: 'conflict', sessionId: delta.sessionId, session: stored });
+        return;
+      }
+      
+      // A patch that doesn't fit the stored copy gets the same answer as a wrong
+      // base, so the client falls back to the full session instead of drifting
+      let session;
+      try {
+        session = applyPatch(stored, delta.ops);
+      } catch (e) {
+        connection.send({ type: 'conflict', sessionId: delta.sessionId, session: stored });
+        return;
+      }
+      session.version = delta.version;
+      writeSession(session);
+      
+      connection.send({ type: 'ack', sessionId: delta.sessionId, version: delta.version });
+      broadcast(delta.sessionId, { type: 'delta', sessionId: delta.sessionId, delta }, connection);
+    }
+  };
+  
+  const onMessage = (connection, text) => {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      connection.send({ type: 'error', message: 'Invalid JSON' });
+      return;
+    }
+    
+    const handler = handlers[message.type];
+    if (!handler) {
+      connection.send({ type: 'error', message: `Unknown message type: ${message.type}` });
+      return;
+    }
+    
+    try {
+      handler(connection, message);
+    } catch (e) {
+      connection.send({ type: 'error', message: e.message });
+    }
+  };
+  
+  const onClose = (connection) => {
+    subscribers.forEach(set => set.delete(connection));
+  };
+  
+  const server = http.createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('SPLITT sync relay: connect with a WebSocket client\n');
+  });
+  
+  server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+      'HTTP/1.1 101 Switching Protocols',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      `Sec-WebSocket-Accept: ${accept}`,
+      '',
+      ''
+    ].join('\r\n'));
+    
+    socket.setNoDelay(true);
+    createConnection(socket, onMessage, onClose);
+  });
+  
+  // Track raw sockets so close() doesn't wait on idle clients
+  const sockets = new Set();
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(options.port === undefined ? DEFAULT_PORT : options.port, () => {
+      resolve({
+        port: server.address().port,
+        server,
+        close() {
+          sockets.forEach(socket => socket.destroy());
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+// ============================================
+// EXPORTS
+// ============================================
+
+module.exports = {
+  createSyncServer,
+  encodeFrame,
+  decodeFrames
+};
+
+// --- CLI ---
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args[index + 1] : undefined;
+  };
+  
+  const port = parseInt(flag('--port') || process.env.PORT || DEFAULT_PORT, 10);
+  const dataFile = flag('--data');
+  const storage = dataFile ? createFileStorage(dataFile) : createMemoryStorage();
+  
+  createSyncServer({ port, storage }).then(({ port: actualPort }) => {
+    console.log(`SPLITT sync relay listening on ws://localhost:${actualPort}`);
+    console.log(dataFile ? `Sessions stored in ${dataFile}` : 'Sessions kept in memory');
+  }).catch(e => {
+    console.error('Failed to start sync relay:', e.message);
+    process.exit(1);
+  });
+}
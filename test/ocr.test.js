@@ -0,0 +1,82 @@
+/**
+ * SPLITT - Standalone OCR parser tests
+ * Run with: node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { ReceiptParser, parsePrice, parseReceiptText, categorizeLine } = require('../ocr.js');
+
+describe('locale number formats', () => {
+  const parser = new ReceiptParser();
+  
+  it('reads grouped amounts in each format', () => {
+    assert.strictEqual(parsePrice('1.250,00', 'de-DE'), 1250);
+    assert.strictEqual(parsePrice('1 240,00', 'fr-FR'), 1240);
+    assert.strictEqual(parsePrice('1 240,00', 'fr-FR'), 1240);
+    assert.strictEqual(parsePrice("1'180.00", 'de-CH'), 1180);
+    assert.strictEqual(parsePrice('1,25,000.00', 'en-IN'), 125000);
+    assert.strictEqual(parsePrice('1,200', 'ja-JP'), 1200);
+  });
+  
+  it('detects the locale from the receipt', () => {
+    assert.strictEqual(parser.detectLocale('Brot 3,50\nBier 4,20\nSumme 7,70'), 'de-DE');
+    assert.strictEqual(parser.detectLocale('Plat 1 240,00\nTVA 1,20'), 'fr-FR');
+    assert.strictEqual(parser.detectLocale('Plat 12,00\nTVA 1,20'), 'fr-FR');
+    assert.strictEqual(parser.detectLocale("Rösti 1'180.00\nBier 7.50"), 'de-CH');
+    assert.strictEqual(parser.detectLocale('Kaffee 4.50 CHF'), 'de-CH');
+    assert.strictEqual(parser.detectLocale('Thali ₹450.00'), 'en-IN');
+    assert.strictEqual(parser.detectLocale('Thali 1,25,000.00'), 'en-IN');
+    assert.strictEqual(parser.detectLocale('Burger 14.00\nFries 5.00'), 'en-US');
+  });
+  
+  it('parses whole receipts in the detected format', () => {
+    const french = parseReceiptText('CAFE\nCroissant 3,50 €\nPlat 1 240,00 €\nTOTAL 1 243,50 €');
+    assert.strictEqual(french.locale, 'fr-FR');
+    assert.deepStrictEqual(french.items.map(i => i.lineTotal), [3.5, 1240]);
+    assert.strictEqual(french.total, 1243.5);
+    
+    const swiss = parseReceiptText("ZURICH\nRösti 1'180.00\nBier 7.50\nTotal 1'187.50 CHF");
+    assert.strictEqual(swiss.locale, 'de-CH');
+    assert.strictEqual(swiss.total, 1187.5);
+    
+    const indian = parseReceiptText('DELHI\nThali ₹1,25,000.00\nLassi 120.00\nTotal ₹1,25,120.00');
+    assert.strictEqual(indian.locale, 'en-IN');
+    assert.deepStrictEqual(indian.items.map(i => i.lineTotal), [125000, 120]);
+  });
+  
+  it('uses a configured locale over detection', () => {
+    const receipt = new ReceiptParser({ locale: 'de-DE' }).parseReceiptText('Brot 1.250\nTotal 1.250');
+    assert.strictEqual(receipt.locale, 'de-DE');
+    assert.strictEqual(receipt.total, 1250);
+  });
+});
+
+describe('quantity, unit price and line total', () => {
+  const line = text => categorizeLine(text).data;
+  const fields = data => [data.quantity, data.unitPrice, data.lineTotal, data.checked];
+  
+  it('reads a unit price printed before the line total', () => {
+    assert.deepStrictEqual(fields(line('3 x Beer 6.50 19.50')), [3, 6.5, 19.5, true]);
+    assert.strictEqual(line('3 x Beer 6.50 19.50').name, 'Beer');
+    assert.deepStrictEqual(fields(line('Beer 3 @ 6.50 19.50')), [3, 6.5, 19.5, true]);
+  });
+  
+  it('works an unprinted quantity out from the prices', () => {
+    assert.deepStrictEqual(fields(line('Beer 6.50 19.50')), [3, 6.5, 19.5, true]);
+    assert.deepStrictEqual(fields(line('Beer 2 @ 6.50')), [2, 6.5, 13, null]);
+    assert.deepStrictEqual(fields(line('Wine 0.75 12.00')), [1, 12, 12, null]);
+  });
+  
+  it('keeps a printed quantity that doesn\'t fit and flags the line', () => {
+    const wings = line('4 x Wings 3.00 9.00');
+    assert.deepStrictEqual(fields(wings), [4, 3, 9, false]);
+    assert.ok(wings.confidence <= 0.6, `confidence ${wings.confidence}`);
+  });
+  
+  it('applies quantity lines to the item or name above', () => {
+    const receipt = parseReceiptText('TAVERN\nRibeye\n2 @ 12.00 24.00\nSoda 5.00\n2 @ 2.50\nBeer 6.50\nTotal 35.50');
+    assert.deepStrictEqual(receipt.items.map(i => [i.name, i.quantity, i.unitPrice, i.lineTotal]),
+      [['Ribeye', 2, 12, 24], ['Soda', 2, 2.5, 5], ['Beer', 1, 6.5, 6.5]]);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * SPLITT - Receipt parser tests
+ * Run with: node --test test/
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  ReceiptParser, parsePrice, detectLocale, detectCurrency, parseReceiptText, parseReceiptLayout, categorizeLine
+} = require('../combined.js');
+
+describe('locale number formats', () => {
+  it('reads grouped amounts in each format', () => {
+    assert.strictEqual(parsePrice('1.250,00', 'de-DE'), 1250);
+    assert.strictEqual(parsePrice('1 240,00', 'fr-FR'), 1240);
+    assert.strictEqual(parsePrice('1 240,00', 'fr-FR'), 1240);
+    assert.strictEqual(parsePrice("1'180.00", 'de-CH'), 1180);
+    assert.strictEqual(parsePrice('1,25,000.00', 'en-IN'), 125000);
+    assert.strictEqual(parsePrice('1,200', 'ja-JP'), 1200);
+    assert.strictEqual(parsePrice('1,250.00', 'en-US'), 1250);
+  });
+  
+  it('works the format out from a lone amount', () => {
+    assert.strictEqual(parsePrice('1.250,00'), 1250);
+    assert.strictEqual(parsePrice('12,50'), 12.5);
+    assert.strictEqual(parsePrice("1'180.00"), 1180);
+    assert.strictEqual(parsePrice('1,25,000.00'), 125000);
+  });
+  
+  it('detects the locale from the receipt', () => {
+    assert.strictEqual(detectLocale('Brot 3,50\nBier 4,20\nSumme 7,70'), 'de-DE');
+    assert.strictEqual(detectLocale('Plat 1 240,00\nTVA 1,20\nTOTAL 1 241,20'), 'fr-FR');
+    assert.strictEqual(detectLocale("Rösti 1'180.00\nBier 7.50"), 'de-CH');
+    assert.strictEqual(detectLocale('Thali ₹450.00\nLassi 120.00'), 'en-IN');
+    assert.strictEqual(detectLocale('Ramen ¥1,200'), 'ja-JP');
+    assert.strictEqual(detectLocale('Burger 14.00\nFries 5.00'), 'en-US');
+  });
+  
+  it('parses a whole receipt in the detected or configured format', () => {
+    const receipt = parseReceiptText('CAFE DE FLORE\nCroissant 3,50 €\nPlat du jour 1 240,00 €\nTOTAL 1 243,50 €');
+    assert.strictEqual(receipt.locale, 'fr-FR');
+    assert.deepStrictEqual(receipt.items.map(i => i.lineTotal), [3.5, 1240]);
+    assert.strictEqual(receipt.total, 1243.5);
+    
+    const swiss = new ReceiptParser({ locale: 'de-CH' }).parseReceiptText("Rösti 1'180.00\nTotal 1'180.00");
+    assert.strictEqual(swiss.locale, 'de-CH');
+    assert.strictEqual(swiss.total, 1180);
+  });
+});
+
+describe('receipt currency', () => {
+  it('reads the currency from signs and codes, else from the locale', () => {
+    assert.strictEqual(detectCurrency('Burger $14.00'), 'USD');
+    assert.strictEqual(detectCurrency('Croissant 3,50 €'), 'EUR');
+    assert.strictEqual(detectCurrency('Ramen ¥1,200'), 'JPY');
+    assert.strictEqual(detectCurrency('Brot 3,50\nTotal 3,50'), 'EUR');
+  });
+  
+  it('parses amounts printed after a currency code', () => {
+    const receipt = parseReceiptText('ZURICH\nRösti CHF 24.50\nTotal CHF 24.50');
+    assert.strictEqual(receipt.currency, 'CHF');
+    assert.strictEqual(receipt.total, 24.5);
+  });
+});
+
+describe('modifiers and wrapped names', () => {
+  const receipt = parseReceiptText([
+    'SMASH BURGER CO',
+    'Burger                 14.00',
+    '  + add bacon           2.00',
+    '  no onions',
+    'Grilled Chicken Caesar',
+    'Salad                  12.50',
+    'Shake W/',
+    '  Whipped Cream         6.00',
+    'Fries                   4.50',
+    'COMP FRIES             -4.50',
+    'Total                  37.00'
+  ].join('\n'));
+  
+  it('adds modifier lines to the item above, price and all', () => {
+    const burger = receipt.items[0];
+    assert.deepStrictEqual([burger.name, burger.lineTotal], ['Burger', 16]);
+    assert.deepStrictEqual(burger.modifiers.map(m => [m.name, m.price]), [['Add Bacon', 2], ['No Onions', 0]]);
+  });
+  
+  it('joins names that carry on to the next line', () => {
+    assert.deepStrictEqual(receipt.items.map(i => i.name),
+      ['Burger', 'Grilled Chicken Caesar Salad', 'Shake W/ Whipped Cream', 'Fries']);
+  });
+  
+  it('still points item discounts at the right item', () => {
+    assert.deepStrictEqual(receipt.discounts.map(d => [d.value, d.itemIndex]), [[4.5, 3]]);
+    assert.strictEqual(receipt.total, 37);
+  });
+  
+  it('reads a receipt printed entirely indented as plain items', () => {
+    const indented = parseReceiptText('    Tea     3.00\n    Cake    4.00\n    Total   7.00');
+    assert.deepStrictEqual(indented.items.map(i => [i.name, i.modifiers.length]), [['Tea', 0], ['Cake', 0]]);
+  });
+});
+
+describe('layout parsing', () => {
+  // Word boxes for a receipt printed in a 10px-wide monospace font, 20px a line
+  function words(printed) {
+    const boxes = [];
+    printed.forEach((line, row) => {
+      for (const match of line.matchAll(/\S+/g)) {
+        const x0 = match.index * 10;
+        boxes.push({ text: match[0], box: { x0, y0: row * 20, x1: x0 + match[0].length * 10, y1: row * 20 + 14 } });
+      }
+    });
+    return boxes;
+  }
+  
+  const printed = [
+    'CORNER TAVERN',
+    '2   Draft IPA        7.00    14.00',
+    '    Fish Tacos               16.50',
+    '      + extra salsa           1.00',
+    '3   Wings            4.00    12.00',
+    '    Total                    43.50'
+  ];
+  
+  it('finds the quantity, name, unit price and amount columns', () => {
+    const receipt = parseReceiptLayout(words(printed));
+    assert.deepStrictEqual(receipt.columns, { quantity: 0, name: 40, unitPrice: 250, amount: 340 });
+    assert.deepStrictEqual(receipt.items.map(i => [i.name, i.lineTotal, i.quantity]),
+      [['Draft Ipa', 14, 2], ['Fish Tacos', 17.5, 1], ['Wings', 12, 3]]);
+    assert.strictEqual(receipt.total, 43.5);
+  });
+  
+  it('reads rows the same whatever order the words come in', () => {
+    const shuffled = words(printed).sort((a, b) => a.box.x0 - b.box.x0);
+    assert.deepStrictEqual(parseReceiptLayout(shuffled).items.map(i => i.name), ['Draft Ipa', 'Fish Tacos', 'Wings']);
+  });
+  
+  it('boxes each item with its modifiers', () => {
+    const tacos = parseReceiptLayout(words(printed)).items[1];
+    assert.deepStrictEqual(tacos.modifiers.map(m => m.name), ['Extra Salsa']);
+    assert.deepStrictEqual(tacos.box, { x0: 40, y0: 40, x1: 340, y1: 74 });
+  });
+  
+  it('takes Vision annotations, skipping the full-text one', () => {
+    const vision = words(printed).map(word => ({
+      description: word.text,
+      boundingPoly: { vertices: [{ x: word.box.x0, y: word.box.y0 }, { x: word.box.x1, y: word.box.y1 }] }
+    }));
+    vision.unshift({ description: printed.join('\n'), boundingPoly: { vertices: [{ x: 0, y: 0 }, { x: 340, y: 114 }] } });
+    
+    assert.strictEqual(parseReceiptLayout({ textAnnotations: vision }).items.length, 3);
+  });
+  
+  it('returns an empty receipt for no words', () => {
+    const receipt = parseReceiptLayout([]);
+    assert.deepStrictEqual([receipt.items, receipt.text, receipt.columns], [[], '', null]);
+  });
+});
+
+describe('quantity, unit price and line total', () => {
+  const line = text => categorizeLine(text).data;
+  const fields = data => [data.quantity, data.unitPrice, data.lineTotal, data.checked];
+  
+  it('reads a unit price printed before the line total', () => {
+    assert.deepStrictEqual(fields(line('3 x Beer 6.50 19.50')), [3, 6.5, 19.5, true]);
+    assert.strictEqual(line('3 x Beer 6.50 19.50').name, 'Beer');
+    assert.deepStrictEqual(fields(line('Beer 3 @ 6.50 19.50')), [3, 6.5, 19.5, true]);
+  });
+  
+  it('works an unprinted quantity out from the prices', () => {
+    assert.deepStrictEqual(fields(line('Beer 6.50 19.50')), [3, 6.5, 19.5, true]);
+    assert.deepStrictEqual(fields(line('Beer 2 @ 6.50')), [2, 6.5, 13, null]);
+    assert.deepStrictEqual(fields(line('Wine 0.75 12.00')), [1, 12, 12, null]);
+  });
+  
+  it('keeps a printed quantity that doesn\'t fit and flags the line', () => {
+    const wings = line('4 x Wings 3.00 9.00');
+    assert.deepStrictEqual(fields(wings), [4, 3, 9, false]);
+    assert.ok(wings.confidence <= 0.6, `confidence ${wings.confidence}`);
+  });
+  
+  it('applies quantity lines to the item or name above', () => {
+    const receipt = parseReceiptText('TAVERN\nRibeye\n2 @ 12.00 24.00\nSoda 5.00\n2 @ 2.50\nBeer 6.50\nTotal 35.50');
+    assert.deepStrictEqual(receipt.items.map(i => [i.name, i.quantity, i.unitPrice, i.lineTotal]),
+      [['Ribeye', 2, 12, 24], ['Soda', 2, 2.5, 5], ['Beer', 1, 6.5, 6.5]]);
+  });
+});
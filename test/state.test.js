@@ -0,0 +1,1468 @@
+/**
+ * SPLITT - State engine tests
+ * Run with: node --test test/
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SPLITT = require('../state.js');
+
+beforeEach(() => {
+  SPLITT.setStorageAdapter(SPLITT.createMemoryStorage());
+});
+
+// Just enough of IndexedDB for the adapter: open, one store, cursors, put and delete
+function createFakeIndexedDB(stored = {}) {
+  const data = { ...stored };
+  const later = (fn) => setImmediate(fn);
+  
+  const store = {
+    put(value, key) {
+      data[key] = value;
+    },
+    delete(key) {
+      delete data[key];
+    },
+    openCursor() {
+      const keys = Object.keys(data);
+      const request = {};
+      let index = 0;
+      const step = () => later(() => {
+        request.result = index < keys.length
+          ? { key: keys[index], value: data[keys[index]], continue() { index++; step(); } }
+          : null;
+        request.onsuccess();
+      });
+      step();
+      return request;
+    }
+  };
+  const db = {
+    createObjectStore() {},
+    transaction: () => ({ objectStore: () => store })
+  };
+  
+  return {
+    data,
+    open() {
+      const request = {};
+      later(() => {
+        request.result = db;
+        request.onsuccess();
+      });
+      return request;
+    }
+  };
+}
+
+describe('storage adapters', () => {
+  it('keeps sessions in the adapter that was set', () => {
+    const first = SPLITT.setStorageAdapter(SPLITT.createMemoryStorage());
+    const session = SPLITT.createSession('host');
+    assert.strictEqual(SPLITT.getSession(session.id).hostId, 'host');
+    
+    SPLITT.setStorageAdapter(SPLITT.createMemoryStorage());
+    assert.strictEqual(SPLITT.getSession(session.id), null);
+    
+    SPLITT.setStorageAdapter(first);
+    assert.ok(SPLITT.getSession(session.id));
+  });
+  
+  it('rejects adapters missing a method', () => {
+    assert.throws(() => SPLITT.setStorageAdapter({ getItem() {}, setItem() {} }), /must implement/);
+  });
+  
+  it('shares a file between adapters', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'splitt-'));
+    const filePath = path.join(dir, 'sessions.json');
+    try {
+      SPLITT.setStorageAdapter(SPLITT.createFileStorage(filePath));
+      const session = SPLITT.createSession('host');
+      
+      SPLITT.setStorageAdapter(SPLITT.createFileStorage(filePath));
+      assert.strictEqual(SPLITT.getSession(session.id).hostId, 'host');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+  
+  it('refuses IndexedDB reads and writes until it has loaded', async () => {
+    const stored = SPLITT.createMemoryStorage();
+    SPLITT.setStorageAdapter(stored);
+    const existing = SPLITT.createSession('host');
+    
+    global.indexedDB = createFakeIndexedDB({ splitt_sessions: stored.getItem('splitt_sessions') });
+    try {
+      const adapter = SPLITT.setStorageAdapter(SPLITT.createIndexedDBStorage());
+      assert.strictEqual(adapter.loading, true);
+      assert.throws(() => SPLITT.createSession('early'), /still loading/);
+      
+      await adapter.ready;
+      const added = SPLITT.createSession('late');
+      
+      // The session stored before loading is still there next to the new one
+      assert.deepStrictEqual(Object.keys(SPLITT.getAllSessions()).sort(), [existing.id, added.id].sort());
+    } finally {
+      delete global.indexedDB;
+    }
+  });
+});
+
+// Host a session with a receipt and extra guests; returns the session code and item ids
+function hostReceipt(receipt, guests = []) {
+  const { id } = SPLITT.createSession('host');
+  guests.forEach(guest => SPLITT.joinSession(id, { id: guest, name: guest }));
+  const session = SPLITT.setReceipt(id, receipt);
+  return { id, itemIds: session.receipts[0].items.map(item => item.id) };
+}
+
+describe('integer cents', () => {
+  it('converts amounts without float drift', () => {
+    assert.strictEqual(SPLITT.toCents(1.005), 101);
+    assert.strictEqual(SPLITT.toCents(0.1 + 0.2), 30);
+    assert.strictEqual(SPLITT.fromCents(1999), 19.99);
+  });
+  
+  it('hands out every cent by largest remainder', () => {
+    assert.deepStrictEqual(SPLITT.allocateCents(1000, [1, 1, 1]), [334, 333, 333]);
+    assert.deepStrictEqual(SPLITT.allocateCents(-1000, [1, 1, 1]), [-334, -333, -333]);
+    assert.deepStrictEqual(SPLITT.allocateCents(500, [0, 0]), [0, 0]);
+  });
+  
+  it('splits an item three ways without losing a cent', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Pizza', price: 10 }] }, ['a', 'b']);
+    ['host', 'a', 'b'].forEach(user => SPLITT.selectItem(id, user, itemIds[0], 'even'));
+    
+    const totals = SPLITT.calculateTotals(SPLITT.getSession(id));
+    const shares = Object.values(totals.cents.subtotals);
+    
+    assert.deepStrictEqual(shares.slice().sort(), [333, 333, 334]);
+    assert.strictEqual(shares.reduce((sum, share) => sum + share, 0), 1000);
+  });
+  
+  it('allocates tax and tip so the shares add up exactly', () => {
+    const { id, itemIds } = hostReceipt({
+      items: [{ name: 'Soup', price: 7.33 }, { name: 'Salad', price: 5.01 }],
+      tax: 1.01,
+      tip: 2.47
+    }, ['a', 'b']);
+    SPLITT.selectItem(id, 'host', itemIds[0], 'solo');
+    ['a', 'b'].forEach(user => SPLITT.selectItem(id, user, itemIds[1], 'even'));
+    
+    const { cents } = SPLITT.calculateTotals(SPLITT.getSession(id));
+    const sum = (values) => Object.values(values).reduce((total, value) => total + value, 0);
+    
+    assert.strictEqual(sum(cents.taxShares), 101);
+    assert.strictEqual(sum(cents.tipShares), 247);
+    assert.strictEqual(sum(cents.totals), 733 + 501 + 101 + 247);
+  });
+});
+
+describe('session versions', () => {
+  it('bumps the version on every save', () => {
+    const { id } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] });
+    const before = SPLITT.getSession(id).version;
+    
+    SPLITT.joinSession(id, { id: 'a', name: 'A' });
+    assert.strictEqual(SPLITT.getSession(id).version, before + 1);
+  });
+  
+  it('rejects a mutation based on an outdated version', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] });
+    const seen = SPLITT.getSession(id).version;
+    SPLITT.joinSession(id, { id: 'a', name: 'A' });
+    
+    assert.throws(
+      () => SPLITT.selectItem(id, 'host', itemIds[0], 'solo', null, { expectedVersion: seen }),
+      (e) => e instanceof SPLITT.ConflictError && e.name === 'ConflictError'
+    );
+  });
+  
+  it('retries a conflicting mutation on fresh state', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] });
+    let attempts = 0;
+    
+    SPLITT.retryOnConflict(id, (session) => {
+      attempts++;
+      if (attempts === 1) {
+        SPLITT.joinSession(id, { id: 'a', name: 'A' });
+      }
+      return SPLITT.selectItem(id, 'host', itemIds[0], 'solo', null, { expectedVersion: session.version });
+    });
+    
+    assert.strictEqual(attempts, 2);
+    assert.strictEqual(SPLITT.getSession(id).selections.length, 1);
+  });
+  
+  it('gives up after the last attempt', () => {
+    const { id } = hostReceipt({ items: [] });
+    let attempts = 0;
+    
+    assert.throws(() => SPLITT.retryOnConflict(id, (session) => {
+      attempts++;
+      throw new SPLITT.ConflictError(session.id, 0, 1);
+    }, 2), SPLITT.ConflictError);
+    assert.strictEqual(attempts, 2);
+  });
+});
+
+describe('event log', () => {
+  it('records each change with its actor', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] }, ['a']);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'solo');
+    
+    const types = SPLITT.getSessionHistory(id).map(event => event.type);
+    assert.deepStrictEqual(types, ['session.created', 'participant.joined', 'participant.joined', 'receipt.set', 'item.selected']);
+    assert.strictEqual(SPLITT.getSessionHistory(id, { type: 'item.selected' })[0].actor, 'a');
+  });
+  
+  it('filters history by actor and item', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }, { name: 'Cake', price: 4 }] }, ['a']);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'solo');
+    SPLITT.selectItem(id, 'host', itemIds[1], 'solo');
+    SPLITT.deselectItem(id, 'a', itemIds[0]);
+    
+    const teaEvents = SPLITT.getSessionHistory(id, { itemId: itemIds[0] });
+    assert.deepStrictEqual(teaEvents.map(event => event.type), ['item.selected', 'item.deselected']);
+    assert.strictEqual(SPLITT.getSessionHistory(id, { actor: 'a', type: 'item.selected' }).length, 1);
+  });
+  
+  it('rebuilds the session as it was at an earlier version', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] }, ['a']);
+    const before = SPLITT.getSession(id).version;
+    SPLITT.selectItem(id, 'a', itemIds[0], 'solo');
+    
+    assert.strictEqual(SPLITT.getSessionAt(id, { version: before }).selections.length, 0);
+    assert.strictEqual(SPLITT.getSessionAt(id).selections.length, 1);
+  });
+  
+  it('replays the log into the stored state', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] }, ['a']);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'even');
+    SPLITT.selectItem(id, 'host', itemIds[0], 'even');
+    
+    const stored = SPLITT.getSession(id);
+    const replayed = SPLITT.replayEvents(stored.events);
+    
+    assert.deepStrictEqual(replayed.selections, stored.selections);
+    assert.deepStrictEqual(replayed.receipts, stored.receipts);
+    assert.strictEqual(replayed.version, stored.version);
+  });
+  
+  it('refuses a log that does not start at creation', () => {
+    const { id } = hostReceipt({ items: [] });
+    assert.throws(() => SPLITT.replayEvents(SPLITT.getSession(id).events.slice(1)), /incomplete/);
+  });
+});
+
+describe('undo and redo', () => {
+  it('undoes and redoes a claim', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] }, ['a']);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'solo');
+    
+    SPLITT.undo(id, 'a');
+    assert.strictEqual(SPLITT.getSession(id).selections.length, 0);
+    
+    SPLITT.redo(id, 'a');
+    assert.deepStrictEqual(SPLITT.getSession(id).selections.map(s => s.participantId), ['a']);
+  });
+  
+  it('only undoes the caller\'s own changes', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }, { name: 'Cake', price: 4 }] }, ['a']);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'even');
+    SPLITT.selectItem(id, 'host', itemIds[1], 'solo');
+    
+    SPLITT.undo(id, 'a');
+    const session = SPLITT.getSession(id);
+    
+    assert.deepStrictEqual(session.selections.map(s => s.itemId), [itemIds[1]]);
+    assert.strictEqual(SPLITT.canUndo(session, 'a'), false);
+    assert.throws(() => SPLITT.undo(id, 'a'), /Nothing to undo/);
+  });
+  
+  it('restores what a solo claim replaced', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] }, ['a']);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'even');
+    SPLITT.selectItem(id, 'host', itemIds[0], 'solo');
+    
+    SPLITT.undo(id, 'host');
+    assert.deepStrictEqual(SPLITT.getSession(id).selections.map(s => s.participantId), ['a']);
+  });
+  
+  it('clears the redo stack on a fresh change', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }, { name: 'Cake', price: 4 }] }, ['a']);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'solo');
+    SPLITT.undo(id, 'a');
+    SPLITT.selectItem(id, 'a', itemIds[1], 'solo');
+    
+    assert.strictEqual(SPLITT.canRedo(SPLITT.getSession(id), 'a'), false);
+  });
+  
+  it('undoes and redoes an added item', () => {
+    const { id } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] });
+    const item = SPLITT.addReceiptItem(id, { name: 'Cake', price: 4 }, { actor: 'host' }).receipts[0].items[1];
+    SPLITT.selectItem(id, 'host', item.id, 'solo');
+    SPLITT.undo(id, 'host');
+    SPLITT.undo(id, 'host');
+    
+    const session = SPLITT.getSession(id);
+    assert.deepStrictEqual(session.receipts[0].items.map(i => i.name), ['Tea']);
+    assert.strictEqual(session.selections.length, 0);
+    
+    SPLITT.redo(id, 'host');
+    assert.strictEqual(SPLITT.getSession(id).receipts[0].items.length, 2);
+  });
+  
+  it('lists undo and redo in the history of the item they touched', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }, { name: 'Cake', price: 4 }] }, ['a']);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'solo');
+    SPLITT.undo(id, 'a');
+    SPLITT.redo(id, 'a');
+    
+    const types = (itemId) => SPLITT.getSessionHistory(id, { itemId }).map(event => event.type);
+    assert.deepStrictEqual(types(itemIds[0]), ['item.selected', 'history.undone', 'history.redone']);
+    assert.deepStrictEqual(types(itemIds[1]), []);
+  });
+  
+  it('replays undo and redo from the log', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] }, ['a']);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'solo');
+    SPLITT.undo(id, 'a');
+    
+    const stored = SPLITT.getSession(id);
+    assert.deepStrictEqual(SPLITT.replayEvents(stored.events).selections, stored.selections);
+  });
+});
+
+// Transport that records what it publishes and lets the test push relay messages
+function createFakeTransport() {
+  const listeners = new Map();
+  return {
+    published: [],
+    publish(session) {
+      this.published.push(session);
+    },
+    subscribe(code, callback) {
+      listeners.set(code, callback);
+      return () => listeners.delete(code);
+    },
+    deliver(code, message) {
+      listeners.get(code)(message);
+    }
+  };
+}
+
+describe('sync transport', () => {
+  let transport;
+  
+  beforeEach(() => {
+    transport = SPLITT.setSyncTransport(createFakeTransport());
+  });
+  
+  afterEach(() => {
+    SPLITT.setSyncTransport(null);
+  });
+  
+  it('publishes local changes', () => {
+    const { id } = hostReceipt({ items: [] });
+    assert.strictEqual(transport.published.at(-1).id, id);
+  });
+  
+  it('waits for the relay snapshot of a session it does not have', () => {
+    const remote = SPLITT.createMemoryStorage();
+    SPLITT.setStorageAdapter(remote);
+    const { id } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] });
+    const session = SPLITT.getSession(id);
+    SPLITT.setStorageAdapter(SPLITT.createMemoryStorage());
+    
+    const calls = [];
+    const stop = SPLITT.startSync(id, (synced, error) => calls.push(synced ? synced.id : error));
+    assert.deepStrictEqual(calls, []);
+    
+    transport.deliver(id, { type: 'snapshot', session });
+    stop();
+    
+    assert.deepStrictEqual(calls, [id]);
+    assert.strictEqual(SPLITT.getSession(id).receipts[0].items[0].name, 'Tea');
+  });
+  
+  it('reports a session missing once the relay has none either', () => {
+    const calls = [];
+    const stop = SPLITT.startSync('NOROOM', (synced, error) => calls.push(error));
+    
+    transport.deliver('NOROOM', { type: 'snapshot', session: null });
+    stop();
+    
+    assert.deepStrictEqual(calls, ['Session not found']);
+  });
+  
+  it('gives up waiting for a snapshot after SNAPSHOT_TIMEOUT', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const calls = [];
+    const stop = SPLITT.startSync('NOROOM', (synced, error) => calls.push(error));
+    
+    t.mock.timers.tick(SPLITT.SNAPSHOT_TIMEOUT - 1);
+    assert.deepStrictEqual(calls, []);
+    t.mock.timers.tick(1);
+    stop();
+    
+    assert.deepStrictEqual(calls, ['Session not found']);
+  });
+  
+  it('merges the relay copy when a write lost the race', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] });
+    const base = SPLITT.getSession(id);
+    const local = SPLITT.getStorageAdapter();
+    
+    // Another device joins from the same starting point
+    SPLITT.setStorageAdapter(SPLITT.createMemoryStorage());
+    SPLITT.receiveRemoteSession(base);
+    const relayCopy = SPLITT.joinSession(id, { id: 'a', name: 'A' });
+    
+    SPLITT.setStorageAdapter(local);
+    SPLITT.selectItem(id, 'host', itemIds[0], 'solo');
+    
+    const stop = SPLITT.startSync(id, () => {});
+    transport.deliver(id, { type: 'conflict', session: relayCopy });
+    stop();
+    
+    const merged = SPLITT.getSession(id);
+    assert.deepStrictEqual(merged.participants.map(p => p.id), ['host', 'a']);
+    assert.strictEqual(merged.selections.length, 1);
+    assert.strictEqual(transport.published.at(-1).version, merged.version);
+  });
+});
+
+describe('deltas', () => {
+  it('patches only what changed', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] });
+    const before = SPLITT.getSession(id);
+    const after = SPLITT.selectItem(id, 'host', itemIds[0], 'solo');
+    
+    const delta = SPLITT.createDelta(before, after);
+    assert.strictEqual(delta.baseVersion, before.version);
+    assert.strictEqual(delta.version, after.version);
+    assert.ok(delta.ops.every(op => !op.path.startsWith('/receipt')));
+    assert.deepStrictEqual(SPLITT.applyPatch(before, delta.ops), after);
+  });
+  
+  it('refuses patch paths that do not exist', () => {
+    assert.throws(() => SPLITT.applyPatch({ a: {} }, [{ op: 'replace', path: '/b/c', value: 1 }]), /Invalid patch path/);
+  });
+  
+  it('applies a remote delta on top of its base version', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] });
+    const before = SPLITT.getSession(id);
+    const after = SPLITT.selectItem(id, 'host', itemIds[0], 'solo');
+    const delta = SPLITT.createDelta(before, after);
+    
+    SPLITT.setStorageAdapter(SPLITT.createMemoryStorage());
+    SPLITT.receiveRemoteSession(before);
+    
+    assert.strictEqual(SPLITT.applyRemoteDelta(delta), true);
+    assert.strictEqual(SPLITT.getSession(id).selections.length, 1);
+    assert.strictEqual(SPLITT.applyRemoteDelta(delta), true); // Already applied
+  });
+  
+  it('asks for a snapshot when a delta skips a version', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }, { name: 'Cake', price: 4 }] });
+    const stale = SPLITT.getSession(id);
+    const middle = SPLITT.selectItem(id, 'host', itemIds[0], 'solo');
+    const latest = SPLITT.selectItem(id, 'host', itemIds[1], 'solo');
+    
+    SPLITT.setStorageAdapter(SPLITT.createMemoryStorage());
+    SPLITT.receiveRemoteSession(stale);
+    assert.strictEqual(SPLITT.applyRemoteDelta(SPLITT.createDelta(middle, latest)), false);
+    
+    const transport = SPLITT.setSyncTransport(createFakeTransport());
+    const requested = [];
+    transport.requestSnapshot = (code) => requested.push(code);
+    try {
+      const stop = SPLITT.startSync(id, () => {});
+      transport.deliver(id, { type: 'delta', delta: SPLITT.createDelta(middle, latest) });
+      stop();
+    } finally {
+      SPLITT.setSyncTransport(null);
+    }
+    
+    assert.deepStrictEqual(requested, [id]);
+  });
+});
+
+describe('merging replicas', () => {
+  // Two devices that start from the same copy of a session
+  function fork(id) {
+    const copy = SPLITT.getSession(id);
+    const here = SPLITT.getStorageAdapter();
+    const there = SPLITT.createMemoryStorage();
+    SPLITT.setStorageAdapter(there);
+    SPLITT.receiveRemoteSession(copy);
+    SPLITT.setStorageAdapter(here);
+    
+    return (fn) => {
+      SPLITT.setStorageAdapter(there);
+      try {
+        return fn();
+      } finally {
+        SPLITT.setStorageAdapter(here);
+      }
+    };
+  }
+  
+  it('keeps offline changes from both sides', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }, { name: 'Cake', price: 4 }] }, ['a']);
+    const elsewhere = fork(id);
+    
+    const local = SPLITT.selectItem(id, 'host', itemIds[0], 'solo');
+    const remote = elsewhere(() => {
+      SPLITT.joinSession(id, { id: 'b', name: 'B' });
+      return SPLITT.selectItem(id, 'a', itemIds[1], 'solo');
+    });
+    
+    const merged = SPLITT.mergeSessions(local, remote);
+    assert.deepStrictEqual(merged.participants.map(p => p.id), ['host', 'a', 'b']);
+    assert.deepStrictEqual(merged.selections.map(s => s.itemId).sort(), itemIds.slice().sort());
+    assert.ok(merged.version > Math.max(local.version, remote.version));
+  });
+  
+  it('gives the same result in either direction', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] }, ['a']);
+    const elsewhere = fork(id);
+    
+    const local = SPLITT.selectItem(id, 'host', itemIds[0], 'even');
+    const remote = elsewhere(() => SPLITT.selectItem(id, 'a', itemIds[0], 'even'));
+    
+    const one = SPLITT.mergeSessions(local, remote);
+    const other = SPLITT.mergeSessions(remote, local);
+    assert.deepStrictEqual(one.selections, other.selections);
+    assert.strictEqual(one.selections.length, 2);
+  });
+  
+  it('only removes the claims a deselect had seen', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] }, ['a']);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'even');
+    const elsewhere = fork(id);
+    
+    // 'a' drops the claim here while re-claiming it on the other device
+    const local = SPLITT.deselectItem(id, 'a', itemIds[0]);
+    const remote = elsewhere(() => SPLITT.selectItem(id, 'a', itemIds[0], 'solo'));
+    
+    const merged = SPLITT.mergeSessions(local, remote);
+    assert.deepStrictEqual(merged.selections.map(s => s.splitType), ['solo']);
+  });
+  
+  it('returns the copy that is already ahead unchanged', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] });
+    const behind = SPLITT.getSession(id);
+    const ahead = SPLITT.selectItem(id, 'host', itemIds[0], 'solo');
+    
+    assert.deepStrictEqual(SPLITT.mergeSessions(behind, ahead), ahead);
+    assert.deepStrictEqual(SPLITT.mergeSessions(ahead, behind), ahead);
+  });
+});
+
+describe('old-format rooms', () => {
+  const legacyRoom = () => ({
+    status: 'selecting',
+    lastModified: 1700000000000,
+    participants: [
+      { id: 'u1', name: 'Hana', emoji: '🦊', isHost: true },
+      { id: 'u2', name: 'Ravi', emoji: '🐼' }
+    ],
+    items: [
+      { id: 'i1', name: 'Wings', price: 9, quantity: 3 },
+      { id: 'i2', name: 'Soda', price: 5, quantity: 3 }
+    ],
+    tax: 1.2,
+    tip: 2,
+    selections: {
+      i1: [{ userId: 'u1', type: 'solo' }],
+      i2: [{ userId: 'u1', type: 'split' }, { userId: 'u2', type: 'split' }, { userId: 'gone', type: 'split' }]
+    }
+  });
+  
+  it('tells old rooms from engine sessions', () => {
+    const { id } = hostReceipt({ items: [] });
+    assert.strictEqual(SPLITT.isLegacyRoom(legacyRoom()), true);
+    assert.strictEqual(SPLITT.isLegacyRoom(SPLITT.getSession(id)), false);
+  });
+  
+  it('prices line totals per unit without losing a cent', () => {
+    assert.deepStrictEqual(SPLITT.fromLineTotal({ name: 'Wings', price: 9, quantity: 3 }), { name: 'Wings', price: 3, quantity: 3 });
+    assert.deepStrictEqual(SPLITT.fromLineTotal({ name: 'Soda', price: 5, quantity: 3 }), { name: '3x Soda', price: 5, quantity: 1 });
+  });
+  
+  it('upgrades an old room into an engine session', () => {
+    const session = SPLITT.migrateLegacyRoom('abc123', legacyRoom());
+    
+    assert.strictEqual(session.id, 'ABC123');
+    assert.strictEqual(session.hostId, 'u1');
+    assert.strictEqual(session.status, 'selecting');
+    assert.deepStrictEqual(session.receipts[0].items.map(i => [i.name, i.price, i.quantity]), [['Wings', 3, 3], ['3x Soda', 5, 1]]);
+    assert.strictEqual(session.receipts[0].total, 17.2);
+    assert.deepStrictEqual(session.selections.map(s => [s.participantId, s.itemId, s.splitType]), [
+      ['u1', 'i1', 'solo'],
+      ['u1', 'i2', 'even'],
+      ['u2', 'i2', 'even']
+    ]);
+  });
+  
+  it('upgrades the same room identically on every device', () => {
+    const one = SPLITT.migrateLegacyRoom('ABC123', legacyRoom());
+    const other = SPLITT.migrateLegacyRoom('ABC123', legacyRoom());
+    
+    assert.deepStrictEqual(SPLITT.mergeSessions(one, other), one);
+  });
+  
+  it('passes engine sessions through', () => {
+    const { id } = hostReceipt({ items: [] });
+    const session = SPLITT.getSession(id);
+    assert.strictEqual(SPLITT.migrateLegacyRoom(id, session), session);
+  });
+});
+
+describe('host controls', () => {
+  it('removes a guest along with their claims and keeps them out', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] }, ['a']);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'solo');
+    
+    const session = SPLITT.kickParticipant(id, 'host', 'a');
+    assert.deepStrictEqual(session.participants.map(p => p.id), ['host']);
+    assert.strictEqual(session.selections.length, 0);
+    assert.throws(() => SPLITT.joinSession(id, { id: 'a', name: 'A' }), /removed from this session/);
+  });
+  
+  it('only lets the host remove people', () => {
+    const { id } = hostReceipt({ items: [] }, ['a', 'b']);
+    assert.throws(() => SPLITT.kickParticipant(id, 'a', 'b'), /Only host/);
+    assert.throws(() => SPLITT.kickParticipant(id, 'host', 'host'), /cannot remove themselves/);
+  });
+  
+  it('stores the host\'s payment links', () => {
+    const { id } = hostReceipt({ items: [] });
+    SPLITT.setPaymentMethods(id, { venmo: '@hana' });
+    assert.deepStrictEqual(SPLITT.getSession(id).paymentMethods, { venmo: '@hana' });
+  });
+});
+
+// Put a session into storage as-is, bypassing migration and validation
+function storeRaw(session) {
+  const sessions = SPLITT.getAllSessions();
+  sessions[session.id] = session;
+  SPLITT.getStorageAdapter().setItem('splitt_sessions', JSON.stringify(sessions));
+}
+
+describe('schema migrations', () => {
+  it('upgrades old rooms all the way to the current schema', () => {
+    const session = SPLITT.migrateSession({
+      participants: [{ id: 'u1', name: 'Hana', isHost: true }],
+      items: [{ id: 'i1', name: 'Tea', price: 3 }],
+      selections: { i1: [{ userId: 'u1', type: 'solo' }] }
+    }, 'room01');
+    
+    assert.strictEqual(session.id, 'ROOM01');
+    assert.strictEqual(session.schemaVersion, SPLITT.SCHEMA_VERSION);
+    assert.strictEqual(session.selections.length, 1);
+  });
+  
+  it('adds the collections schema 1 sessions lack', () => {
+    const session = SPLITT.migrateSession({
+      id: 'ROOM01',
+      schemaVersion: 1,
+      status: 'lobby',
+      receipt: { items: [], tax: 0, tip: 0, total: 0 },
+      participants: [],
+      selections: []
+    });
+    
+    assert.strictEqual(session.version, 0);
+    assert.deepStrictEqual([session.events, session.undoStacks, session.tombstones, session.kickedUsers],
+      [[], {}, {}, []]);
+  });
+  
+  it('leaves sessions from a newer schema alone', () => {
+    const future = { id: 'ROOM01', schemaVersion: SPLITT.SCHEMA_VERSION + 1, shiny: true };
+    assert.deepStrictEqual(SPLITT.migrateSession(future), future);
+  });
+  
+  it('upgrades stored sessions once, on the way out', () => {
+    const { id } = hostReceipt({ items: [] });
+    const stored = SPLITT.getSession(id);
+    delete stored.tombstones;
+    stored.schemaVersion = 1;
+    storeRaw(stored);
+    
+    assert.deepStrictEqual(SPLITT.getSession(id).tombstones, {});
+    assert.strictEqual(SPLITT.getAllSessions()[id].schemaVersion, SPLITT.SCHEMA_VERSION);
+  });
+});
+
+describe('session validation', () => {
+  it('repairs what it can and lists what it fixed', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] }, ['a']);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'solo');
+    const broken = SPLITT.getSession(id);
+    broken.status = 'partying';
+    broken.receipts[0].tax = '1.50';
+    broken.receipts[0].items.push({ name: 'No id' });
+    broken.participants.push({ ...broken.participants[0] });
+    broken.selections.push({ participantId: 'ghost', itemId: itemIds[0], splitType: 'even' });
+    
+    const { session, problems } = SPLITT.validateSession(broken);
+    
+    assert.strictEqual(session.status, 'lobby');
+    assert.strictEqual(session.receipts[0].tax, 1.5);
+    assert.strictEqual(session.receipts[0].items.length, 1);
+    assert.strictEqual(session.participants.length, 2);
+    assert.deepStrictEqual(session.selections.map(s => s.participantId), ['a']);
+    assert.strictEqual(problems.length, 5);
+  });
+  
+  it('rejects sessions it cannot repair', () => {
+    assert.throws(() => SPLITT.validateSession(null), SPLITT.InvalidSessionError);
+    assert.throws(() => SPLITT.validateSession({ participants: [] }), /missing id/);
+  });
+  
+  it('writes repairs back to storage', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const { id } = hostReceipt({ items: [] });
+    const stored = SPLITT.getSession(id);
+    stored.participants = 'everyone';
+    storeRaw(stored);
+    
+    assert.deepStrictEqual(SPLITT.getSession(id).participants, []);
+    assert.deepStrictEqual(SPLITT.getAllSessions()[id].participants, []);
+    assert.strictEqual(warn.mock.callCount(), 1);
+  });
+  
+  it('ignores remote copies that are not sessions', (t) => {
+    t.mock.method(console, 'error', () => {});
+    assert.strictEqual(SPLITT.receiveRemoteSession({ id: 42 }), null);
+  });
+});
+
+describe('tax rates', () => {
+  // Host claims the first item, 'a' the second
+  function claimedPair(receipt) {
+    const { id, itemIds } = hostReceipt(receipt, ['a']);
+    SPLITT.selectItem(id, 'host', itemIds[0], 'solo');
+    SPLITT.selectItem(id, 'a', itemIds[1], 'solo');
+    return id;
+  }
+  
+  it('splits printed tax by the rates of what each person claimed', () => {
+    const id = claimedPair({
+      items: [{ name: 'Wine', price: 20, category: 'alcohol' }, { name: 'Pasta', price: 20, category: 'food' }],
+      tax: 3,
+      taxRates: { alcohol: 10, food: 5 }
+    });
+    
+    const { taxShares } = SPLITT.calculateTotals(SPLITT.getSession(id));
+    assert.deepStrictEqual(taxShares, { host: 2, a: 1 });
+  });
+  
+  it('charges what the rates add up to when no tax is printed', () => {
+    const id = claimedPair({
+      items: [{ name: 'Wine', price: 20, category: 'alcohol' }, { name: 'Pasta', price: 20, category: 'food' }],
+      taxRates: { alcohol: 10, food: 5 }
+    });
+    
+    const totals = SPLITT.calculateTotals(SPLITT.getSession(id));
+    assert.strictEqual(totals.summary.tax, 3);
+    assert.deepStrictEqual(totals.taxShares, { host: 2, a: 1 });
+  });
+  
+  it('prefers an item\'s own rate over its category', () => {
+    const id = claimedPair({
+      items: [{ name: 'Wine', price: 20, category: 'alcohol', taxRate: 0 }, { name: 'Pasta', price: 20, category: 'food' }],
+      taxRates: { alcohol: 10, food: 5 }
+    });
+    
+    assert.deepStrictEqual(SPLITT.calculateTotals(SPLITT.getSession(id)).taxShares, { host: 0, a: 1 });
+  });
+  
+  it('lets unrated items share the tax the rated ones leave over', () => {
+    const id = claimedPair({
+      items: [{ name: 'Wine', price: 20, category: 'alcohol' }, { name: 'Pasta', price: 20 }],
+      tax: 2.5,
+      taxRates: { alcohol: 10 }
+    });
+    
+    assert.deepStrictEqual(SPLITT.calculateTotals(SPLITT.getSession(id)).taxShares, { host: 2, a: 0.5 });
+  });
+  
+  it('updates rates and refuses nonsense', () => {
+    const id = claimedPair({ items: [{ name: 'Wine', price: 20, category: 'alcohol' }, { name: 'Pasta', price: 20 }] });
+    
+    SPLITT.setTaxRates(id, { alcohol: '8.875', food: '' });
+    assert.deepStrictEqual(SPLITT.getSession(id).receipts[0].taxRates, { alcohol: 8.875 });
+    assert.throws(() => SPLITT.setTaxRates(id, { alcohol: 150 }), /Invalid tax rate/);
+  });
+  
+  it('gives older sessions an empty rate table', () => {
+    const { id } = hostReceipt({ items: [] });
+    const stored = SPLITT.getSession(id);
+    stored.receipt = stored.receipts[0];
+    delete stored.receipts;
+    delete stored.receipt.taxRates;
+    stored.schemaVersion = 2;
+    storeRaw(stored);
+    
+    assert.deepStrictEqual(SPLITT.getSession(id).receipts[0].taxRates, {});
+  });
+});
+
+describe('tip policy', () => {
+  // Host spends 30.00 and 'a' 10.00, with 4.00 tax by subtotal
+  function dinner(extra = {}) {
+    const { id, itemIds } = hostReceipt({
+      items: [{ name: 'Steak', price: 30 }, { name: 'Salad', price: 10 }],
+      tax: 4,
+      tip: 6,
+      ...extra
+    }, ['a', 'b']);
+    SPLITT.selectItem(id, 'host', itemIds[0], 'solo');
+    SPLITT.selectItem(id, 'a', itemIds[1], 'solo');
+    return id;
+  }
+  
+  it('splits the printed tip by spend by default', () => {
+    const id = dinner();
+    assert.deepStrictEqual(SPLITT.calculateTotals(SPLITT.getSession(id)).tipShares, { host: 4.5, a: 1.5, b: 0 });
+  });
+  
+  it('works out a percentage tip before or after tax', () => {
+    const id = dinner();
+    
+    SPLITT.setTipPolicy(id, 'host', { type: 'percentage', percent: 20 });
+    assert.strictEqual(SPLITT.calculateTotals(SPLITT.getSession(id)).summary.tip, 8);
+    
+    SPLITT.setTipPolicy(id, 'host', { base: 'posttax' });
+    assert.strictEqual(SPLITT.calculateTotals(SPLITT.getSession(id)).summary.tip, 8.8);
+  });
+  
+  it('splits per head among claimants when asked', () => {
+    const id = dinner();
+    SPLITT.setTipPolicy(id, 'host', { split: 'even' });
+    assert.deepStrictEqual(SPLITT.calculateTotals(SPLITT.getSession(id)).tipShares, { host: 3, a: 3, b: 0 });
+  });
+  
+  it('leaves excluded people out of the tip, unless that leaves nobody', () => {
+    const id = dinner();
+    
+    SPLITT.setTipPolicy(id, 'host', { excluded: ['a'] });
+    assert.deepStrictEqual(SPLITT.calculateTotals(SPLITT.getSession(id)).tipShares, { host: 6, a: 0, b: 0 });
+    
+    SPLITT.setTipPolicy(id, 'host', { excluded: ['a', 'host'] });
+    assert.deepStrictEqual(SPLITT.calculateTotals(SPLITT.getSession(id)).tipShares, { host: 4.5, a: 1.5, b: 0 });
+  });
+  
+  it('is the host\'s call and must make sense', () => {
+    const id = dinner();
+    assert.throws(() => SPLITT.setTipPolicy(id, 'a', { split: 'even' }), /Only host/);
+    assert.throws(() => SPLITT.setTipPolicy(id, 'host', { percent: 120 }), /Invalid tip percentage/);
+    assert.throws(() => SPLITT.setTipPolicy(id, 'host', { split: 'random' }), /Invalid tip split/);
+  });
+  
+  it('gives older sessions the default policy', () => {
+    const { id } = hostReceipt({ items: [] });
+    const stored = SPLITT.getSession(id);
+    delete stored.tipPolicy;
+    stored.schemaVersion = 3;
+    storeRaw(stored);
+    
+    assert.deepStrictEqual(SPLITT.getSession(id).tipPolicy,
+      { type: 'amount', percent: 0, base: 'pretax', split: 'proportional', excluded: [] });
+  });
+});
+
+describe('discounts', () => {
+  // Host claims the steak, 'a' the salad and the soda
+  function dinner() {
+    const { id, itemIds } = hostReceipt({
+      items: [
+        { name: 'Steak', price: 30, category: 'food' },
+        { name: 'Salad', price: 10, category: 'food' },
+        { name: 'Soda', price: 5, category: 'drinks' }
+      ]
+    }, ['a']);
+    SPLITT.selectItem(id, 'host', itemIds[0], 'solo');
+    SPLITT.selectItem(id, 'a', itemIds[1], 'solo');
+    SPLITT.selectItem(id, 'a', itemIds[2], 'solo');
+    return { id, itemIds };
+  }
+  const shares = (id) => SPLITT.calculateTotals(SPLITT.getSession(id)).discountShares;
+  
+  it('credits an item discount to whoever claimed the item', () => {
+    const { id, itemIds } = dinner();
+    SPLITT.addDiscount(id, { name: 'Comp', type: 'fixed', value: 5, appliesTo: 'item', itemId: itemIds[0] });
+    
+    const totals = SPLITT.calculateTotals(SPLITT.getSession(id));
+    assert.deepStrictEqual(totals.discountShares, { host: 5, a: 0 });
+    assert.deepStrictEqual(totals.totals, { host: 25, a: 15 });
+  });
+  
+  it('spreads a fixed category discount over its items by price', () => {
+    const { id } = dinner();
+    SPLITT.addDiscount(id, { type: 'fixed', value: 8, appliesTo: 'category', category: 'food' });
+    assert.deepStrictEqual(shares(id), { host: 6, a: 2 });
+  });
+  
+  it('takes bill discounts off what each person owes for food', () => {
+    const { id } = dinner();
+    SPLITT.addDiscount(id, { name: 'Happy hour', type: 'percentage', value: 10 });
+    assert.deepStrictEqual(shares(id), { host: 3, a: 1.5 });
+  });
+  
+  it('never discounts more than the bill', () => {
+    const { id } = dinner();
+    SPLITT.addDiscount(id, { type: 'fixed', value: 100 });
+    
+    const totals = SPLITT.calculateTotals(SPLITT.getSession(id));
+    assert.deepStrictEqual(totals.totals, { host: 0, a: 0 });
+  });
+  
+  it('shrinks the tax along with the discounted amount', () => {
+    const { id } = dinner();
+    SPLITT.setTaxRates(id, { food: 10, drinks: 10 });
+    SPLITT.addDiscount(id, { type: 'percentage', value: 50 });
+    
+    assert.strictEqual(SPLITT.calculateTotals(SPLITT.getSession(id)).summary.tax, 2.25);
+  });
+  
+  it('removes a discount it has and refuses one it does not', () => {
+    const { id } = dinner();
+    const discount = SPLITT.addDiscount(id, { type: 'fixed', value: 2 }).receipts[0].discounts[0];
+    const events = SPLITT.getSession(id).events.length;
+    
+    assert.throws(() => SPLITT.removeDiscount(id, 'no-such-discount'), /Discount not found/);
+    assert.strictEqual(SPLITT.getSession(id).events.length, events);
+    
+    assert.deepStrictEqual(SPLITT.removeDiscount(id, discount.id).receipts[0].discounts, []);
+  });
+  
+  it('rejects discounts that make no sense', () => {
+    const { id } = dinner();
+    assert.throws(() => SPLITT.addDiscount(id, { type: 'percentage', value: 150 }), /Invalid discount value/);
+    assert.throws(() => SPLITT.addDiscount(id, { value: 1, appliesTo: 'item', itemId: 'nope' }), /Item not found/);
+    assert.throws(() => SPLITT.addDiscount(id, { value: 1, appliesTo: 'category' }), /needs a category/);
+  });
+});
+
+describe('fees', () => {
+  // Host spends 30.00 and 'a' 10.00; 'b' claims nothing
+  function dinner() {
+    const { id, itemIds } = hostReceipt({
+      items: [{ name: 'Steak', price: 30 }, { name: 'Salad', price: 10 }]
+    }, ['a', 'b']);
+    SPLITT.selectItem(id, 'host', itemIds[0], 'solo');
+    SPLITT.selectItem(id, 'a', itemIds[1], 'solo');
+    return { id, itemIds };
+  }
+  const feeShares = (id) => SPLITT.calculateTotals(SPLITT.getSession(id)).feeShares;
+  
+  it('shares a fee by spend or evenly among people who ate', () => {
+    const { id } = dinner();
+    const withFee = SPLITT.addFee(id, { name: 'Service', amount: 4 });
+    assert.deepStrictEqual(feeShares(id), { host: 3, a: 1, b: 0 });
+    
+    SPLITT.removeFee(id, withFee.receipts[0].fees[0].id);
+    SPLITT.addFee(id, { name: 'Delivery', amount: 5, allocation: 'even' });
+    assert.deepStrictEqual(feeShares(id), { host: 2.5, a: 2.5, b: 0 });
+  });
+  
+  it('charges an assigned fee to the people named', () => {
+    const { id } = dinner();
+    SPLITT.addFee(id, { name: 'Corkage', amount: 15, allocation: 'assigned', participantIds: ['a'] });
+    assert.deepStrictEqual(feeShares(id), { host: 0, a: 15, b: 0 });
+  });
+  
+  it('charges a fee for an item to whoever claimed it', () => {
+    const { id, itemIds } = dinner();
+    SPLITT.selectItem(id, 'b', itemIds[1], 'even');
+    SPLITT.selectItem(id, 'a', itemIds[1], 'even');
+    SPLITT.addFee(id, { name: 'Cake cutting', amount: 3, allocation: 'claimers', itemId: itemIds[1] });
+    
+    assert.deepStrictEqual(feeShares(id), { host: 0, a: 1.5, b: 1.5 });
+  });
+  
+  it('adds fees to each person\'s total', () => {
+    const { id } = dinner();
+    SPLITT.addFee(id, { amount: 4 });
+    
+    const totals = SPLITT.calculateTotals(SPLITT.getSession(id));
+    assert.deepStrictEqual(totals.totals, { host: 33, a: 11, b: 0 });
+  });
+  
+  it('removes a fee it has and refuses one it does not', () => {
+    const { id } = dinner();
+    const fee = SPLITT.addFee(id, { amount: 2 }).receipts[0].fees[0];
+    const events = SPLITT.getSession(id).events.length;
+    
+    assert.throws(() => SPLITT.removeFee(id, 'no-such-fee'), /Fee not found/);
+    assert.strictEqual(SPLITT.getSession(id).events.length, events);
+    
+    assert.deepStrictEqual(SPLITT.removeFee(id, fee.id).receipts[0].fees, []);
+  });
+  
+  it('rejects fees that make no sense', () => {
+    const { id } = dinner();
+    assert.throws(() => SPLITT.addFee(id, { amount: -1 }), /Invalid fee amount/);
+    assert.throws(() => SPLITT.addFee(id, { amount: 1, allocation: 'assigned' }), /needs participantIds/);
+    assert.throws(() => SPLITT.addFee(id, { amount: 1, allocation: 'lottery' }), /Invalid fee allocation/);
+  });
+});
+
+describe('shares and fixed splits', () => {
+  const subtotals = (id) => SPLITT.calculateTotals(SPLITT.getSession(id)).subtotals;
+  
+  it('splits by share weight', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Pitcher', price: 30 }] }, ['a']);
+    SPLITT.selectItem(id, 'host', itemIds[0], 'shares', 2);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'shares', 1);
+    
+    assert.deepStrictEqual(subtotals(id), { host: 20, a: 10 });
+  });
+  
+  it('takes fixed amounts off the top and shares the rest', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Platter', price: 40 }] }, ['a', 'b']);
+    SPLITT.selectItem(id, 'host', itemIds[0], 'fixed', 10);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'percentage', 25);
+    SPLITT.selectItem(id, 'b', itemIds[0], 'even');
+    
+    assert.deepStrictEqual(subtotals(id), { host: 10, a: 10, b: 20 });
+  });
+  
+  it('refuses fixed amounts that add up to more than the item', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Platter', price: 40 }] }, ['a']);
+    SPLITT.selectItem(id, 'host', itemIds[0], 'fixed', 30);
+    
+    assert.throws(() => SPLITT.selectItem(id, 'a', itemIds[0], 'fixed', 15), /exceed the item price/);
+    assert.throws(() => SPLITT.selectItem(id, 'a', itemIds[0], 'shares', 0), /Shares must be positive/);
+  });
+  
+  it('scales merged fixed amounts down to the price and says so', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Platter', price: 40 }] }, ['a']);
+    const session = SPLITT.getSession(id);
+    session.selections = [
+      { participantId: 'host', itemId: itemIds[0], splitType: 'fixed', value: 30 },
+      { participantId: 'a', itemId: itemIds[0], splitType: 'fixed', value: 20 }
+    ];
+    
+    const totals = SPLITT.calculateTotals(session);
+    assert.deepStrictEqual(totals.subtotals, { host: 24, a: 16 });
+    assert.deepStrictEqual(totals.errors.map(e => e.type), ['fixed-exceeds-price']);
+  });
+});
+
+describe('claim reconciliation', () => {
+  // Two percentage claims that cover 80% of a 50.00 platter
+  function underClaimed() {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Platter', price: 50 }] }, ['a']);
+    SPLITT.selectItem(id, 'host', itemIds[0], 'percentage', 50);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'percentage', 30);
+    return id;
+  }
+  
+  it('reports items whose claims do not add up', () => {
+    const id = underClaimed();
+    const report = SPLITT.reconcileClaims(SPLITT.getSession(id));
+    
+    assert.strictEqual(report.policy, 'unclaimed');
+    assert.strictEqual(report.balanced, false);
+    assert.deepStrictEqual(report.items.map(i => [i.name, i.status, i.difference, i.resolution]),
+      [['Platter', 'under', -10, 'unclaimed']]);
+  });
+  
+  it('leaves the gap unclaimed by default', () => {
+    const id = underClaimed();
+    const totals = SPLITT.calculateTotals(SPLITT.getSession(id));
+    
+    assert.deepStrictEqual(totals.subtotals, { host: 25, a: 15 });
+    assert.deepStrictEqual(totals.unclaimedRemainders.map(r => r.amount), [10]);
+  });
+  
+  it('scales claims to the price under the normalize policy', () => {
+    const id = underClaimed();
+    SPLITT.setClaimPolicy(id, 'host', 'normalize');
+    
+    assert.deepStrictEqual(SPLITT.calculateTotals(SPLITT.getSession(id)).subtotals, { host: 31.25, a: 18.75 });
+  });
+  
+  it('always scales claims that add up to more than the price', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Platter', price: 50 }] }, ['a']);
+    SPLITT.selectItem(id, 'host', itemIds[0], 'percentage', 80);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'percentage', 80);
+    
+    const totals = SPLITT.calculateTotals(SPLITT.getSession(id));
+    assert.deepStrictEqual(totals.subtotals, { host: 25, a: 25 });
+    assert.strictEqual(totals.reconciliation[itemIds[0]].resolution, 'scaled');
+  });
+  
+  it('blocks finalizing under the block policy until claims add up', () => {
+    const id = underClaimed();
+    SPLITT.setClaimPolicy(id, 'host', 'block');
+    
+    assert.throws(() => SPLITT.finalizeSelections(id), SPLITT.ReconciliationError);
+    
+    const itemId = SPLITT.getSession(id).receipts[0].items[0].id;
+    SPLITT.selectItem(id, 'a', itemId, 'percentage', 50);
+    assert.strictEqual(SPLITT.finalizeSelections(id).status, 'reviewing');
+  });
+  
+  it('is the host\'s call', () => {
+    const id = underClaimed();
+    assert.throws(() => SPLITT.setClaimPolicy(id, 'a', 'normalize'), /host/i);
+    assert.throws(() => SPLITT.setClaimPolicy(id, 'host', 'vibes'), /Invalid claim policy/);
+  });
+});
+
+describe('unclaimed items', () => {
+  // Host claims the steak; nobody claims the 9.00 bread
+  function leftovers() {
+    const { id, itemIds } = hostReceipt({
+      items: [{ name: 'Steak', price: 30 }, { name: 'Bread', price: 9 }]
+    }, ['a', 'b']);
+    SPLITT.selectItem(id, 'host', itemIds[0], 'solo');
+    return { id, bread: itemIds[1] };
+  }
+  const subtotals = (id) => SPLITT.calculateTotals(SPLITT.getSession(id)).subtotals;
+  
+  it('lists unclaimed items and unclaimed parts of items', () => {
+    const { id, itemIds } = hostReceipt({
+      items: [{ name: 'Steak', price: 30 }, { name: 'Bread', price: 9 }]
+    }, ['a']);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'percentage', 50);
+    
+    assert.deepStrictEqual(SPLITT.getUnclaimedItems(SPLITT.getSession(id)).map(i => [i.name, i.amount]),
+      [['Bread', 9], ['Steak', 15]]);
+  });
+  
+  it('will not finalize while something is unclaimed', () => {
+    const { id } = leftovers();
+    assert.throws(() => SPLITT.finalizeSelections(id), SPLITT.UnclaimedItemsError);
+  });
+  
+  it('splits, assigns, hands to the host or waives what nobody claimed', () => {
+    const { id, bread } = leftovers();
+    
+    SPLITT.resolveUnclaimedItems(id, 'host', [bread], { method: 'even' });
+    assert.deepStrictEqual(subtotals(id), { host: 33, a: 3, b: 3 });
+    
+    SPLITT.resolveUnclaimedItems(id, 'host', [bread], { method: 'assign', participantId: 'b' });
+    assert.deepStrictEqual(subtotals(id), { host: 30, a: 0, b: 9 });
+    
+    SPLITT.resolveUnclaimedItems(id, 'host', [bread], { method: 'host' });
+    assert.deepStrictEqual(subtotals(id), { host: 39, a: 0, b: 0 });
+    
+    SPLITT.resolveUnclaimedItems(id, 'host', [bread], { method: 'waive' });
+    const totals = SPLITT.calculateTotals(SPLITT.getSession(id));
+    assert.deepStrictEqual(totals.subtotals, { host: 30, a: 0, b: 0 });
+    assert.strictEqual(totals.resolvedOrphans[0].method, 'waive');
+    
+    assert.strictEqual(SPLITT.finalizeSelections(id).status, 'reviewing');
+  });
+  
+  it('can take a resolution back', () => {
+    const { id, bread } = leftovers();
+    SPLITT.resolveUnclaimedItems(id, 'host', [bread], { method: 'host' });
+    SPLITT.clearUnclaimedResolution(id, 'host', bread);
+    
+    assert.deepStrictEqual(SPLITT.getUnclaimedItems(SPLITT.getSession(id)).map(i => i.name), ['Bread']);
+  });
+  
+  it('is the host\'s call and needs real items and people', () => {
+    const { id, bread } = leftovers();
+    assert.throws(() => SPLITT.resolveUnclaimedItems(id, 'a', [bread], { method: 'even' }), /Only host/);
+    assert.throws(() => SPLITT.resolveUnclaimedItems(id, 'host', ['nope'], { method: 'even' }), /Item not found/);
+    assert.throws(() => SPLITT.resolveUnclaimedItems(id, 'host', [bread], { method: 'assign', participantId: 'zed' }),
+      /Participant not found/);
+  });
+});
+
+describe('multiple receipts', () => {
+  it('works each receipt out on its own and adds them up per person', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Pasta', price: 20 }], tax: 2 }, ['a']);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'solo');
+    const session = SPLITT.addReceipt(id, { merchant: 'Bar', items: [{ name: 'Beer', price: 6 }], tip: 1 });
+    const bar = session.receipts[1];
+    SPLITT.selectItem(id, 'host', bar.items[0].id, 'solo');
+    
+    const totals = SPLITT.calculateTotals(SPLITT.getSession(id));
+    assert.deepStrictEqual(totals.totals, { host: 7, a: 22 });
+    assert.deepStrictEqual(totals.receipts[bar.id].totals, { host: 7, a: 0 });
+  });
+  
+  it('drops a receipt\'s claims along with it, but never the last receipt', () => {
+    const { id } = hostReceipt({ items: [{ name: 'Pasta', price: 20 }] });
+    const bar = SPLITT.addReceipt(id, { items: [{ name: 'Beer', price: 6 }] }).receipts[1];
+    SPLITT.selectItem(id, 'host', bar.items[0].id, 'solo');
+    
+    const session = SPLITT.removeReceipt(id, bar.id);
+    assert.strictEqual(session.receipts.length, 1);
+    assert.deepStrictEqual(session.selections, []);
+    assert.throws(() => SPLITT.removeReceipt(id, session.receipts[0].id));
+  });
+  
+  it('keeps tax, tip, fees and discounts in the total when items change', () => {
+    const { id } = hostReceipt({ items: [{ name: 'Pasta', price: 10 }], tax: 1, tip: 2, total: 13 });
+    
+    let receipt = SPLITT.addReceiptItem(id, { name: 'Cake', price: 3 }, { actor: 'host' }).receipts[0];
+    assert.strictEqual(receipt.total, 16);
+    
+    SPLITT.addFee(id, { amount: 1.5 });
+    receipt = SPLITT.addDiscount(id, { type: 'percentage', value: 10 }).receipts[0];
+    assert.strictEqual(receipt.total, 16.2);
+    
+    receipt = SPLITT.undo(id, 'host').receipts[0];
+    assert.strictEqual(receipt.total, 13.5);
+  });
+  
+  it('works out a total the receipt data leaves out', () => {
+    const session = SPLITT.addReceipt(hostReceipt({ items: [] }).id, {
+      items: [{ name: 'Wine', price: 30 }, { name: 'Bread', price: 4 }],
+      discounts: [{ type: 'fixed', value: 5, appliesTo: 'item', itemIndex: 0 }],
+      tax: 2.45
+    });
+    
+    assert.strictEqual(session.receipts[1].total, 31.45);
+  });
+  
+  it('moves single-receipt sessions to the receipt list', () => {
+    const { id } = hostReceipt({ items: [{ name: 'Tea', price: 3 }] });
+    const stored = SPLITT.getSession(id);
+    stored.receipt = stored.receipts[0];
+    delete stored.receipts;
+    stored.schemaVersion = 8;
+    storeRaw(stored);
+    
+    const session = SPLITT.getSession(id);
+    assert.strictEqual(session.receipts[0].id, 'receipt-1');
+    assert.strictEqual(session.receipts[0].items[0].name, 'Tea');
+    assert.strictEqual(session.receipt, undefined);
+  });
+});
+
+describe('settlement', () => {
+  // Three diners, each claiming one item off a receipt the host paid
+  function dinner(prices) {
+    const names = ['Soup', 'Steak', 'Salad'];
+    const { id, itemIds } = hostReceipt({ items: prices.map((price, i) => ({ name: names[i], price })) }, ['a', 'b']);
+    ['host', 'a', 'b'].forEach((user, i) => SPLITT.selectItem(id, user, itemIds[i], 'solo'));
+    return id;
+  }
+  
+  it('credits the host with the bill when nobody else paid', () => {
+    const id = dinner([10, 20, 30]);
+    
+    const { balances, transfers } = SPLITT.calculateSettlement(SPLITT.getSession(id));
+    assert.deepStrictEqual(balances.host, { paid: 60, owed: 10, balance: 50 });
+    assert.deepStrictEqual(transfers, [
+      { from: 'b', to: 'host', amount: 30 },
+      { from: 'a', to: 'host', amount: 20 }
+    ]);
+  });
+  
+  it('splits the credit across payments in proportion to what each paid', () => {
+    const id = dinner([10, 20, 30]);
+    const receiptId = SPLITT.getSession(id).receipts[0].id;
+    SPLITT.setReceiptPayments(id, receiptId, [{ participantId: 'a', amount: 40 }, { participantId: 'b', amount: 20 }]);
+    
+    const balances = SPLITT.calculateBalances(SPLITT.getSession(id));
+    assert.deepStrictEqual([balances.host.balance, balances.a.balance, balances.b.balance], [-10, 20, -10]);
+    assert.throws(() => SPLITT.setReceiptPayments(id, receiptId, [{ participantId: 'zed', amount: 5 }]), /Payer not found/);
+    assert.throws(() => SPLITT.setReceiptPayments(id, receiptId, [{ participantId: 'a', amount: 0 }]), /above zero/);
+  });
+  
+  it('settles separate groups on their own to save transfers', () => {
+    const { id, itemIds } = hostReceipt({
+      items: [{ name: 'Fish', price: 5 }, { name: 'Ribs', price: 4 }, { name: 'Soup', price: 3 }]
+    }, ['a', 'b', 'c', 'd', 'e']);
+    ['c', 'd', 'e'].forEach((user, i) => SPLITT.selectItem(id, user, itemIds[i], 'solo'));
+    SPLITT.setReceiptPayments(id, SPLITT.getSession(id).receipts[0].id, [
+      { participantId: 'host', amount: 7 },
+      { participantId: 'a', amount: 3 },
+      { participantId: 'b', amount: 2 }
+    ]);
+    
+    // Largest debtor to largest creditor alone takes five transfers; host with
+    // d and e, and a with b and c, settle in four
+    const { transfers } = SPLITT.calculateSettlement(SPLITT.getSession(id));
+    assert.strictEqual(transfers.length, 4);
+    assert.deepStrictEqual(transfers.filter(t => t.to === 'host').map(t => t.from).sort(), ['d', 'e']);
+  });
+});
+
+describe('settling up', () => {
+  // Host paid; a owes 20 and b owes 30 once the split is final
+  function owing() {
+    const { id, itemIds } = hostReceipt({
+      items: [{ name: 'Soup', price: 10 }, { name: 'Steak', price: 20 }, { name: 'Salad', price: 30 }]
+    }, ['a', 'b']);
+    ['host', 'a', 'b'].forEach((user, i) => SPLITT.selectItem(id, user, itemIds[i], 'solo'));
+    SPLITT.finalizeSelections(id);
+    return id;
+  }
+  
+  const statusOf = (id) => SPLITT.getSettlementStatus(SPLITT.getSession(id));
+  
+  it('takes a transfer from owed to marked paid to confirmed', () => {
+    const id = owing();
+    assert.deepStrictEqual(statusOf(id).transfers.map(t => [t.from, t.amount, t.status]),
+      [['b', 30, 'owed'], ['a', 20, 'owed']]);
+    
+    SPLITT.markTransferPaid(id, 'a', 'host');
+    assert.strictEqual(statusOf(id).participants.a.status, 'marked');
+    
+    SPLITT.confirmTransferReceived(id, 'host', 'a');
+    assert.strictEqual(statusOf(id).participants.a.status, 'confirmed');
+    assert.throws(() => SPLITT.markTransferPaid(id, 'a', 'host'), /already confirmed/);
+    assert.throws(() => SPLITT.markTransferPaid(id, 'a', 'b'), /No payment is owed/);
+  });
+  
+  it('closes the session once every transfer is confirmed', () => {
+    const id = owing();
+    SPLITT.confirmTransferReceived(id, 'host', 'a');
+    assert.strictEqual(SPLITT.confirmTransferReceived(id, 'host', 'b').status, 'closed');
+    assert.strictEqual(statusOf(id).settled, true);
+  });
+  
+  it('counts a paid transfer as owed again when the amount changes', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Soup', price: 10 }, { name: 'Bread', price: 4 }] }, ['a']);
+    SPLITT.selectItem(id, 'a', itemIds[0], 'solo');
+    SPLITT.selectItem(id, 'host', itemIds[1], 'solo');
+    SPLITT.finalizeSelections(id);
+    SPLITT.markTransferPaid(id, 'a', 'host');
+    
+    SPLITT.selectItem(id, 'a', itemIds[1], 'even');
+    const transfer = statusOf(id).transfers[0];
+    assert.deepStrictEqual([transfer.amount, transfer.status], [12, 'owed']);
+  });
+  
+  it('reminds only the people who owe the sender, or everyone for the host', () => {
+    const id = owing();
+    assert.throws(() => SPLITT.sendReminders(id, 'a'), /No outstanding payments/);
+    
+    SPLITT.sendReminders(id, 'host');
+    assert.ok(SPLITT.getOutstandingBalances(SPLITT.getSession(id), 'b').every(t => t.remindedAt));
+  });
+  
+  it('keeps expired sessions while money is still owed', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const owed = owing();
+    const settled = owing();
+    SPLITT.confirmTransferReceived(settled, 'host', 'a');
+    SPLITT.confirmTransferReceived(settled, 'host', 'b');
+    
+    t.mock.timers.tick(SPLITT.SESSION_TTL + 1000);
+    SPLITT.expireOldSessions();
+    
+    assert.ok(SPLITT.getSession(owed));
+    assert.strictEqual(SPLITT.getSession(settled), null);
+  });
+  
+  it('reads sessions stored in an older schema when deciding what to keep', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const id = owing();
+    const stored = SPLITT.getSession(id);
+    stored.receipt = stored.receipts[0];
+    delete stored.receipts;
+    delete stored.settlements;
+    stored.schemaVersion = 8;
+    storeRaw(stored);
+    
+    t.mock.timers.tick(SPLITT.SESSION_TTL + 1000);
+    assert.doesNotThrow(() => SPLITT.expireOldSessions());
+    assert.strictEqual(statusOf(id).settled, false);
+  });
+});
+
+describe('currencies', () => {
+  // Dinner in euros for host and a, then ramen in yen for a
+  function trip() {
+    const { id, itemIds } = hostReceipt({ currency: 'EUR', items: [{ name: 'Pasta', price: 20 }, { name: 'Soup', price: 10 }] }, ['a']);
+    SPLITT.selectItem(id, 'host', itemIds[0], 'solo');
+    SPLITT.selectItem(id, 'a', itemIds[1], 'solo');
+    const ramen = SPLITT.addReceipt(id, { currency: 'jpy', items: [{ name: 'Ramen', price: 1200 }] }).receipts[1];
+    SPLITT.selectItem(id, 'a', ramen.items[0].id, 'solo');
+    SPLITT.setSessionCurrency(id, 'host', 'USD');
+    return id;
+  }
+  
+  it('converts each receipt into the session currency', () => {
+    const id = trip();
+    SPLITT.setExchangeRates(id, 'host', { base: 'USD', rates: { EUR: 0.9, JPY: 150 } });
+    
+    const totals = SPLITT.calculateTotals(SPLITT.getSession(id));
+    assert.deepStrictEqual(totals.totals, { host: 22.22, a: 19.11 });
+    assert.strictEqual(totals.receipts[SPLITT.getSession(id).receipts[1].id].currency, 'JPY');
+  });
+  
+  it('rounds to whole units for currencies without cents', () => {
+    const id = trip();
+    SPLITT.setExchangeRates(id, 'host', { 'EUR/JPY': 166.6667 });
+    SPLITT.setSessionCurrency(id, 'host', 'JPY');
+    
+    assert.deepStrictEqual(SPLITT.calculateTotals(SPLITT.getSession(id)).totals, { host: 3333, a: 2867 });
+  });
+  
+  it('leaves out receipts it has no rate for, and says which', () => {
+    const totals = SPLITT.calculateTotals(SPLITT.getSession(trip()));
+    assert.deepStrictEqual(totals.summary.missingRates, ['EUR/USD', 'JPY/USD']);
+    assert.deepStrictEqual(totals.totals, { host: 0, a: 0 });
+  });
+  
+  it('is the host\'s call and needs real currency codes', () => {
+    const id = trip();
+    assert.throws(() => SPLITT.setSessionCurrency(id, 'a', 'EUR'), /Only host/);
+    assert.throws(() => SPLITT.setSessionCurrency(id, 'host', 'XX'), /Invalid currency/);
+  });
+  
+  it('converts credits as credits', () => {
+    assert.deepStrictEqual(SPLITT.convertCents({ a: -1000 }, 1.1, 'USD'), { a: -1100 });
+    assert.deepStrictEqual(SPLITT.convertCents({ a: 2000, b: -500, c: 0 }, 1.1, 'USD'), { a: 2200, b: -550, c: 0 });
+    assert.deepStrictEqual(SPLITT.convertCents({ a: -333, b: -667 }, 2, 'USD'), { a: -666, b: -1334 });
+    assert.deepStrictEqual(SPLITT.convertCents({ a: -1000, b: 400 }, 150, 'JPY'), { a: -150000, b: 60000 });
+  });
+});
+
+describe('item modifiers', () => {
+  it('keeps named sub-lines on the item', () => {
+    const { id } = hostReceipt({
+      items: [{ name: 'Burger', price: 16, modifiers: [{ name: 'Add Bacon', price: '2' }, { name: '  ' }, { name: 'No Onions' }] }]
+    });
+    const item = SPLITT.addReceiptItem(id, { name: 'Tea', price: 3, modifiers: [] }).receipts[0].items[1];
+    
+    assert.deepStrictEqual(SPLITT.getSession(id).receipts[0].items[0].modifiers,
+      [{ name: 'Add Bacon', price: 2 }, { name: 'No Onions', price: 0 }]);
+    assert.strictEqual(item.modifiers, undefined);
+  });
+  
+  it('claims the item and its modifiers as one', () => {
+    const { id, itemIds } = hostReceipt({ items: [{ name: 'Burger', price: 16, modifiers: [{ name: 'Add Bacon', price: 2 }] }] });
+    SPLITT.selectItem(id, 'host', itemIds[0], 'solo');
+    
+    assert.strictEqual(SPLITT.calculateTotals(SPLITT.getSession(id)).totals.host, 16);
+  });
+  
+  it('repairs malformed modifiers', () => {
+    const { id } = hostReceipt({ items: [{ name: 'Burger', price: 16 }] });
+    const broken = SPLITT.getSession(id);
+    broken.receipts[0].items[0].modifiers = [{ name: 'Add Bacon', price: '2' }, 'cheese'];
+    
+    const { session } = SPLITT.validateSession(broken);
+    assert.deepStrictEqual(session.receipts[0].items[0].modifiers, [{ name: 'Add Bacon', price: 2 }]);
+  });
+});
+
+describe('parsed line items', () => {
+  it('prices items from the line total rather than the rounded unit price', () => {
+    assert.deepStrictEqual(SPLITT.fromLineTotal({ name: 'Beer', quantity: 3, unitPrice: 6.5, lineTotal: 19.5, checked: true }),
+      { name: 'Beer', price: 6.5, quantity: 3 });
+    assert.deepStrictEqual(SPLITT.fromLineTotal({ name: 'Soup', quantity: 3, unitPrice: 3.33, lineTotal: 10 }),
+      { name: '3x Soup', price: 10, quantity: 1 });
+  });
+});
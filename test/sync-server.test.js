@@ -0,0 +1,128 @@
+/**
+ * SPLITT - Sync relay tests
+ * Run with: node --test test/
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const { createSyncServer, encodeFrame, decodeFrames } = require('../sync-server.js');
+
+// Bare WebSocket client: the relay accepts unmasked frames, so encodeFrame will do
+function connect(port) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+        'Sec-WebSocket-Version': '13'
+      }
+    });
+    
+    req.on('upgrade', (res, socket) => {
+      const received = [];
+      const waiting = [];
+      let buffer = Buffer.alloc(0);
+      
+      socket.on('data', (chunk) => {
+        const { frames, rest } = decodeFrames(Buffer.concat([buffer, chunk]));
+        buffer = rest;
+        frames.forEach(frame => received.push(JSON.parse(frame.payload.toString('utf8'))));
+        while (waiting.length && received.length) waiting.shift()(received.shift());
+      });
+      
+      resolve({
+        send(message) {
+          socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+        },
+        next() {
+          return received.length ? Promise.resolve(received.shift()) : new Promise(done => waiting.push(done));
+        },
+        close() {
+          socket.destroy();
+        }
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+const session = (version) => ({ id: 'ROOM01', version, expiresAt: Date.now() + 60000, items: [] });
+
+describe('sync relay', () => {
+  let relay;
+  let client;
+  
+  beforeEach(async () => {
+    relay = await createSyncServer({ port: 0 });
+    client = await connect(relay.port);
+  });
+  
+  afterEach(async () => {
+    client.close();
+    await relay.close();
+  });
+  
+  it('stores a published session and answers fetches with it', async () => {
+    client.send({ type: 'publish', session: session(1) });
+    assert.deepStrictEqual(await client.next(), { type: 'ack', sessionId: 'ROOM01', version: 1 });
+    
+    client.send({ type: 'fetch', sessionId: 'ROOM01' });
+    const snapshot = await client.next();
+    assert.strictEqual(snapshot.type, 'snapshot');
+    assert.strictEqual(snapshot.session.version, 1);
+  });
+  
+  it('rejects a publish that is not newer than the stored copy', async () => {
+    client.send({ type: 'publish', session: session(2) });
+    await client.next();
+    
+    client.send({ type: 'publish', session: session(2) });
+    const reply = await client.next();
+    assert.strictEqual(reply.type, 'conflict');
+    assert.strictEqual(reply.session.version, 2);
+  });
+  
+  it('applies a delta on top of its base version and passes it on', async () => {
+    const other = await connect(relay.port);
+    try {
+      client.send({ type: 'publish', session: session(1) });
+      await client.next();
+      other.send({ type: 'subscribe', sessionId: 'ROOM01' });
+      await other.next();
+      
+      const delta = { sessionId: 'ROOM01', baseVersion: 1, version: 2, ops: [{ op: 'add', path: '/items/-', value: 'Tea' }] };
+      client.send({ type: 'delta', sessionId: 'ROOM01', delta });
+      
+      assert.deepStrictEqual(await client.next(), { type: 'ack', sessionId: 'ROOM01', version: 2 });
+      assert.deepStrictEqual(await other.next(), { type: 'delta', sessionId: 'ROOM01', delta });
+    } finally {
+      other.close();
+    }
+  });
+  
+  it('answers a delta on the wrong base with the stored copy', async () => {
+    client.send({ type: 'publish', session: session(3) });
+    await client.next();
+    
+    client.send({ type: 'delta', sessionId: 'ROOM01', delta: { sessionId: 'ROOM01', baseVersion: 1, version: 2, ops: [] } });
+    const reply = await client.next();
+    assert.strictEqual(reply.type, 'conflict');
+    assert.strictEqual(reply.session.version, 3);
+  });
+  
+  it('answers a delta that does not apply with the stored copy', async () => {
+    client.send({ type: 'publish', session: session(1) });
+    await client.next();
+    
+    const ops = [{ op: 'replace', path: '/missing/deep', value: 1 }];
+    client.send({ type: 'delta', sessionId: 'ROOM01', delta: { sessionId: 'ROOM01', baseVersion: 1, version: 2, ops } });
+    const reply = await client.next();
+    assert.strictEqual(reply.type, 'conflict');
+    assert.strictEqual(reply.session.version, 1);
+  });
+});